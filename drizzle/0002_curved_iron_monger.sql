@@ -0,0 +1,3 @@
+ALTER TABLE "commentary" DROP CONSTRAINT "commentary_match_id_matches_id_fk";
+--> statement-breakpoint
+ALTER TABLE "commentary" ADD CONSTRAINT "commentary_match_id_matches_id_fk" FOREIGN KEY ("match_id") REFERENCES "public"."matches"("id") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
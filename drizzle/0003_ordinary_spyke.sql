@@ -0,0 +1,13 @@
+CREATE TYPE "public"."commentary_revision_action" AS ENUM('updated', 'deleted');--> statement-breakpoint
+CREATE TABLE "commentary_revisions" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"commentary_id" integer NOT NULL,
+	"match_id" integer NOT NULL,
+	"action" "commentary_revision_action" NOT NULL,
+	"previous" jsonb NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "commentary" ADD COLUMN "updated_at" timestamp;--> statement-breakpoint
+ALTER TABLE "commentary_revisions" ADD CONSTRAINT "commentary_revisions_match_id_matches_id_fk" FOREIGN KEY ("match_id") REFERENCES "public"."matches"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "commentary_revisions_commentary_id_idx" ON "commentary_revisions" USING btree ("commentary_id");
\ No newline at end of file
@@ -0,0 +1,21 @@
+CREATE TYPE "public"."user_role" AS ENUM('admin', 'commentator');--> statement-breakpoint
+CREATE TABLE "match_commentators" (
+	"match_id" integer NOT NULL,
+	"user_id" integer NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "match_commentators_match_id_user_id_pk" PRIMARY KEY("match_id","user_id")
+);
+--> statement-breakpoint
+CREATE TABLE "users" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"name" text NOT NULL,
+	"role" "user_role" NOT NULL,
+	"api_key_hash" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "users_api_key_hash_unique" UNIQUE("api_key_hash")
+);
+--> statement-breakpoint
+ALTER TABLE "commentary" ADD COLUMN "author_id" integer;--> statement-breakpoint
+ALTER TABLE "match_commentators" ADD CONSTRAINT "match_commentators_match_id_matches_id_fk" FOREIGN KEY ("match_id") REFERENCES "public"."matches"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "match_commentators" ADD CONSTRAINT "match_commentators_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "commentary" ADD CONSTRAINT "commentary_author_id_users_id_fk" FOREIGN KEY ("author_id") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;
\ No newline at end of file
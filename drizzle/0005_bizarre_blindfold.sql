@@ -0,0 +1,3 @@
+ALTER TYPE "public"."user_role" ADD VALUE 'viewer';--> statement-breakpoint
+ALTER TABLE "matches" ADD COLUMN "is_premium" boolean DEFAULT false NOT NULL;--> statement-breakpoint
+ALTER TABLE "users" ADD COLUMN "premium" boolean DEFAULT false NOT NULL;
\ No newline at end of file
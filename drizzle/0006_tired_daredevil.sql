@@ -0,0 +1,10 @@
+CREATE TABLE "match_stats" (
+	"match_id" integer NOT NULL,
+	"team" text DEFAULT '' NOT NULL,
+	"actor" text DEFAULT '' NOT NULL,
+	"stat" text NOT NULL,
+	"count" integer DEFAULT 0 NOT NULL,
+	CONSTRAINT "match_stats_match_id_team_actor_stat_pk" PRIMARY KEY("match_id","team","actor","stat")
+);
+--> statement-breakpoint
+ALTER TABLE "match_stats" ADD CONSTRAINT "match_stats_match_id_matches_id_fk" FOREIGN KEY ("match_id") REFERENCES "public"."matches"("id") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
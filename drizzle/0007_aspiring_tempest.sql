@@ -0,0 +1,2 @@
+ALTER TABLE "commentary" ADD COLUMN "home_score_delta" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "commentary" ADD COLUMN "away_score_delta" integer DEFAULT 0 NOT NULL;
\ No newline at end of file
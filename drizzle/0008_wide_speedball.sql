@@ -0,0 +1,61 @@
+CREATE TABLE "players" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"team_id" integer NOT NULL,
+	"name" text NOT NULL,
+	"number" integer,
+	"position" text,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "teams" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"name" text NOT NULL,
+	"sport" text NOT NULL,
+	"short_name" text,
+	"aliases" text[] DEFAULT '{}' NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "commentary" ADD COLUMN "team_id" integer;--> statement-breakpoint
+ALTER TABLE "commentary" ADD COLUMN "player_id" integer;--> statement-breakpoint
+ALTER TABLE "matches" ADD COLUMN "home_team_id" integer;--> statement-breakpoint
+ALTER TABLE "matches" ADD COLUMN "away_team_id" integer;--> statement-breakpoint
+ALTER TABLE "players" ADD CONSTRAINT "players_team_id_teams_id_fk" FOREIGN KEY ("team_id") REFERENCES "public"."teams"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "players_team_name_idx" ON "players" USING btree ("team_id",lower("name"));--> statement-breakpoint
+CREATE UNIQUE INDEX "teams_sport_name_idx" ON "teams" USING btree ("sport",lower("name"));--> statement-breakpoint
+ALTER TABLE "commentary" ADD CONSTRAINT "commentary_team_id_teams_id_fk" FOREIGN KEY ("team_id") REFERENCES "public"."teams"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "commentary" ADD CONSTRAINT "commentary_player_id_players_id_fk" FOREIGN KEY ("player_id") REFERENCES "public"."players"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "matches" ADD CONSTRAINT "matches_home_team_id_teams_id_fk" FOREIGN KEY ("home_team_id") REFERENCES "public"."teams"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "matches" ADD CONSTRAINT "matches_away_team_id_teams_id_fk" FOREIGN KEY ("away_team_id") REFERENCES "public"."teams"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+-- Backfill: one team per sport and name already used by matches
+INSERT INTO "teams" ("name", "sport")
+SELECT DISTINCT ON (lower("sport"), lower("name")) "name", lower("sport")
+FROM (
+	SELECT "sport", "home_team" AS "name" FROM "matches"
+	UNION ALL
+	SELECT "sport", "away_team" AS "name" FROM "matches"
+) AS "match_teams"
+ORDER BY lower("sport"), lower("name"), "name"
+ON CONFLICT DO NOTHING;--> statement-breakpoint
+UPDATE "matches" SET "home_team_id" = "teams"."id"
+FROM "teams"
+WHERE "teams"."sport" = lower("matches"."sport") AND lower("teams"."name") = lower("matches"."home_team");--> statement-breakpoint
+UPDATE "matches" SET "away_team_id" = "teams"."id"
+FROM "teams"
+WHERE "teams"."sport" = lower("matches"."sport") AND lower("teams"."name") = lower("matches"."away_team");--> statement-breakpoint
+-- Backfill: link commentary to the team of its match it names
+UPDATE "commentary" SET "team_id" = "teams"."id"
+FROM "matches", "teams"
+WHERE "matches"."id" = "commentary"."match_id"
+	AND "teams"."id" IN ("matches"."home_team_id", "matches"."away_team_id")
+	AND lower("teams"."name") = lower("commentary"."team");--> statement-breakpoint
+-- Backfill: one player per team and actor named in commentary
+INSERT INTO "players" ("team_id", "name")
+SELECT DISTINCT ON ("team_id", lower("actor")) "team_id", "actor"
+FROM "commentary"
+WHERE "team_id" IS NOT NULL AND "actor" IS NOT NULL
+ORDER BY "team_id", lower("actor"), "actor"
+ON CONFLICT DO NOTHING;--> statement-breakpoint
+UPDATE "commentary" SET "player_id" = "players"."id"
+FROM "players"
+WHERE "players"."team_id" = "commentary"."team_id" AND lower("players"."name") = lower("commentary"."actor");
\ No newline at end of file
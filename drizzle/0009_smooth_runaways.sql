@@ -0,0 +1,22 @@
+CREATE TABLE "competitions" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"name" text NOT NULL,
+	"sport" text NOT NULL,
+	"points_rules" jsonb,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "seasons" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"competition_id" integer NOT NULL,
+	"name" text NOT NULL,
+	"start_date" timestamp,
+	"end_date" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "matches" ADD COLUMN "season_id" integer;--> statement-breakpoint
+ALTER TABLE "seasons" ADD CONSTRAINT "seasons_competition_id_competitions_id_fk" FOREIGN KEY ("competition_id") REFERENCES "public"."competitions"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "competitions_sport_name_idx" ON "competitions" USING btree ("sport",lower("name"));--> statement-breakpoint
+CREATE UNIQUE INDEX "seasons_competition_name_idx" ON "seasons" USING btree ("competition_id",lower("name"));--> statement-breakpoint
+ALTER TABLE "matches" ADD CONSTRAINT "matches_season_id_seasons_id_fk" FOREIGN KEY ("season_id") REFERENCES "public"."seasons"("id") ON DELETE set null ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1 @@
+CREATE INDEX "commentary_search_idx" ON "commentary" USING gin ((setweight(to_tsvector('english', coalesce("actor", '')), 'A') || setweight(to_tsvector('english', "message"), 'B') || setweight(to_tsvector('english', coalesce("team", '')), 'C')));
\ No newline at end of file
@@ -0,0 +1,18 @@
+ALTER TABLE "matches" ADD COLUMN "commentary_sequence" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+-- Backfill: number each match's existing commentary 1, 2, 3, ... in the order it was posted,
+-- replacing the client-supplied sequences
+UPDATE "commentary" SET "sequence" = "numbered"."sequence"
+FROM (
+	SELECT "id", row_number() OVER (PARTITION BY "match_id" ORDER BY "id") AS "sequence"
+	FROM "commentary"
+) AS "numbered"
+WHERE "numbered"."id" = "commentary"."id";--> statement-breakpoint
+UPDATE "matches" SET "commentary_sequence" = "last"."sequence"
+FROM (
+	SELECT "match_id", max("sequence") AS "sequence"
+	FROM "commentary"
+	GROUP BY "match_id"
+) AS "last"
+WHERE "last"."match_id" = "matches"."id";--> statement-breakpoint
+ALTER TABLE "commentary" ALTER COLUMN "sequence" SET NOT NULL;--> statement-breakpoint
+CREATE UNIQUE INDEX "commentary_match_sequence_idx" ON "commentary" USING btree ("match_id","sequence");
\ No newline at end of file
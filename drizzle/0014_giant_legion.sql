@@ -0,0 +1,7 @@
+CREATE TABLE "pubsub_messages" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"payload" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "pubsub_messages_created_at_idx" ON "pubsub_messages" USING btree ("created_at");
\ No newline at end of file
@@ -0,0 +1,7 @@
+-- array_to_string is only marked stable, which index expressions do not allow;
+-- joining a text[] does not depend on any setting, so this wrapper is immutable
+CREATE OR REPLACE FUNCTION "commentary_tags_text"("tags" text[]) RETURNS text
+	LANGUAGE sql IMMUTABLE PARALLEL SAFE
+	AS $$ SELECT array_to_string("tags", ' ') $$;--> statement-breakpoint
+DROP INDEX "commentary_search_idx";--> statement-breakpoint
+CREATE INDEX "commentary_search_idx" ON "commentary" USING gin ((setweight(to_tsvector('english', coalesce("actor", '')), 'A') || setweight(to_tsvector('english', "message"), 'B') || setweight(to_tsvector('english', coalesce("team", '')), 'C') || setweight(to_tsvector('english', coalesce(commentary_tags_text("tags"), '')), 'D')));
\ No newline at end of file
@@ -6,7 +6,12 @@ import {
   timestamp,
   jsonb,
   pgEnum,
+  boolean,
+  index,
+  primaryKey,
+  uniqueIndex,
 } from "drizzle-orm/pg-core";
+import { sql } from "drizzle-orm";
 
 // Enum for match status
 export const matchStatusEnum = pgEnum("match_status", [
@@ -15,34 +20,346 @@ export const matchStatusEnum = pgEnum("match_status", [
   "finished",
 ]);
 
+// Teams table
+// Names are unique per sport regardless of case; aliases are other names the
+// team goes by (e.g. "Arsenal" for "Arsenal FC"), used when resolving names
+export const teams = pgTable(
+  "teams",
+  {
+    id: serial("id").primaryKey(),
+    name: text("name").notNull(),
+    sport: text("sport").notNull(),
+    shortName: text("short_name"),
+    aliases: text("aliases").array().notNull().default([]),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+  },
+  (table) => [
+    uniqueIndex("teams_sport_name_idx").on(
+      table.sport,
+      sql`lower(${table.name})`,
+    ),
+  ],
+);
+
+// Players table
+// Names are unique within a team regardless of case
+export const players = pgTable(
+  "players",
+  {
+    id: serial("id").primaryKey(),
+    teamId: integer("team_id")
+      .notNull()
+      .references(() => teams.id, { onDelete: "cascade" }),
+    name: text("name").notNull(),
+    number: integer("number"),
+    position: text("position"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+  },
+  (table) => [
+    uniqueIndex("players_team_name_idx").on(
+      table.teamId,
+      sql`lower(${table.name})`,
+    ),
+  ],
+);
+
+// Competitions table
+// pointsRules overrides the sport's default standings points (see src/sports),
+// e.g. { "win": 2, "draw": 1, "loss": 0 }
+export const competitions = pgTable(
+  "competitions",
+  {
+    id: serial("id").primaryKey(),
+    name: text("name").notNull(),
+    sport: text("sport").notNull(),
+    pointsRules: jsonb("points_rules"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+  },
+  (table) => [
+    uniqueIndex("competitions_sport_name_idx").on(
+      table.sport,
+      sql`lower(${table.name})`,
+    ),
+  ],
+);
+
+// Seasons table
+// Each season of a competition has its own standings
+export const seasons = pgTable(
+  "seasons",
+  {
+    id: serial("id").primaryKey(),
+    competitionId: integer("competition_id")
+      .notNull()
+      .references(() => competitions.id, { onDelete: "cascade" }),
+    name: text("name").notNull(),
+    startDate: timestamp("start_date"),
+    endDate: timestamp("end_date"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+  },
+  (table) => [
+    uniqueIndex("seasons_competition_name_idx").on(
+      table.competitionId,
+      sql`lower(${table.name})`,
+    ),
+  ],
+);
+
 // Matches table
+// homeTeam and awayTeam keep the teams' names so matches read the same as before;
+// homeTeamId and awayTeamId link them to the teams table
 export const matches = pgTable("matches", {
   id: serial("id").primaryKey(),
   sport: text("sport").notNull(),
   homeTeam: text("home_team").notNull(),
   awayTeam: text("away_team").notNull(),
+  homeTeamId: integer("home_team_id").references(() => teams.id),
+  awayTeamId: integer("away_team_id").references(() => teams.id),
+  // The season of the competition the match is played in, if any
+  seasonId: integer("season_id").references(() => seasons.id, {
+    onDelete: "set null",
+  }),
   status: matchStatusEnum("status").notNull().default("scheduled"),
   startTime: timestamp("start_time"),
   endTime: timestamp("end_time"),
   homeScore: integer("home_score").notNull().default(0),
   awayScore: integer("away_score").notNull().default(0),
+  // Premium matches are only streamed to entitled users
+  isPremium: boolean("is_premium").notNull().default(false),
+  // The last sequence number given to the match's commentary (see src/utils/commentary-sequence.js)
+  commentarySequence: integer("commentary_sequence").notNull().default(0),
   createdAt: timestamp("created_at").notNull().defaultNow(),
 });
 
+// Enum for user roles
+export const userRoleEnum = pgEnum("user_role", [
+  "admin",
+  "commentator",
+  "viewer",
+]);
+
+// Users table
+// Each user authenticates with an API key; only its SHA-256 hash is stored
+export const users = pgTable("users", {
+  id: serial("id").primaryKey(),
+  name: text("name").notNull(),
+  role: userRoleEnum("role").notNull(),
+  apiKeyHash: text("api_key_hash").notNull().unique(),
+  // Whether the user may follow premium matches
+  premium: boolean("premium").notNull().default(false),
+  createdAt: timestamp("created_at").notNull().defaultNow(),
+});
+
+// Commentators assigned to a match
+// Commentators may only post commentary to the matches they are assigned to
+export const matchCommentators = pgTable(
+  "match_commentators",
+  {
+    matchId: integer("match_id")
+      .notNull()
+      .references(() => matches.id, { onDelete: "cascade" }),
+    userId: integer("user_id")
+      .notNull()
+      .references(() => users.id, { onDelete: "cascade" }),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+  },
+  (table) => [primaryKey({ columns: [table.matchId, table.userId] })],
+);
+
+/**
+ * Full-text search document of a commentary entry, used by /commentary/search.
+ * The actor weighs most, then the message, then the team, then the tags.
+ * The GIN index below is built on this exact expression, so queries must use it too.
+ * Tags are joined by commentary_tags_text, an immutable wrapper around
+ * array_to_string created in drizzle/0015 (index expressions cannot call
+ * array_to_string directly, as it is only marked stable).
+ * @param {object} table - The commentary table or its columns.
+ */
+export function commentarySearchDocument(table) {
+  return sql`(setweight(to_tsvector('english', coalesce(${table.actor}, '')), 'A') || setweight(to_tsvector('english', ${table.message}), 'B') || setweight(to_tsvector('english', coalesce(${table.team}, '')), 'C') || setweight(to_tsvector('english', coalesce(commentary_tags_text(${table.tags}), '')), 'D'))`;
+}
+
 // Commentary table
-export const commentary = pgTable("commentary", {
+export const commentary = pgTable(
+  "commentary",
+  {
+    id: serial("id").primaryKey(),
+    matchId: integer("match_id")
+      .notNull()
+      .references(() => matches.id, { onDelete: "cascade" }),
+    minute: integer("minute"),
+    // Assigned by the server: 1, 2, 3, ... for each match, in the order entries were posted
+    sequence: integer("sequence").notNull(),
+    period: text("period"),
+    eventType: text("event_type"),
+    actor: text("actor"),
+    team: text("team"),
+    // The team and player the entry is about, when they could be resolved (see src/utils/teams.js)
+    teamId: integer("team_id").references(() => teams.id, {
+      onDelete: "set null",
+    }),
+    playerId: integer("player_id").references(() => players.id, {
+      onDelete: "set null",
+    }),
+    message: text("message").notNull(),
+    metadata: jsonb("metadata"),
+    tags: text("tags").array(),
+    // Points the entry added to the match score (see src/utils/score.js),
+    // taken back if it is corrected or retracted
+    homeScoreDelta: integer("home_score_delta").notNull().default(0),
+    awayScoreDelta: integer("away_score_delta").notNull().default(0),
+    authorId: integer("author_id").references(() => users.id, {
+      onDelete: "set null",
+    }),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+    updatedAt: timestamp("updated_at"),
+  },
+  (table) => [
+    uniqueIndex("commentary_match_sequence_idx").on(
+      table.matchId,
+      table.sequence,
+    ),
+    index("commentary_search_idx").using(
+      "gin",
+      commentarySearchDocument(table),
+    ),
+  ],
+);
+
+// Enum for the kind of change recorded in the commentary edit history
+export const commentaryRevisionActionEnum = pgEnum(
+  "commentary_revision_action",
+  ["updated", "deleted"],
+);
+
+// Commentary edit history table
+// Each row keeps a snapshot of an entry as it was before it was edited or retracted
+// commentary_id has no foreign key so the history outlives retracted entries
+export const commentaryRevisions = pgTable(
+  "commentary_revisions",
+  {
+    id: serial("id").primaryKey(),
+    commentaryId: integer("commentary_id").notNull(),
+    matchId: integer("match_id")
+      .notNull()
+      .references(() => matches.id, { onDelete: "cascade" }),
+    action: commentaryRevisionActionEnum("action").notNull(),
+    previous: jsonb("previous").notNull(),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+  },
+  (table) => [
+    index("commentary_revisions_commentary_id_idx").on(table.commentaryId),
+  ],
+);
+
+// Match statistics table
+// Running counts derived from commentary events (see src/utils/match-stats.js),
+// one row per team, player and statistic
+// team and actor are "" when the entry did not name one, as primary key columns cannot be null
+export const matchStats = pgTable(
+  "match_stats",
+  {
+    matchId: integer("match_id")
+      .notNull()
+      .references(() => matches.id, { onDelete: "cascade" }),
+    team: text("team").notNull().default(""),
+    actor: text("actor").notNull().default(""),
+    stat: text("stat").notNull(),
+    count: integer("count").notNull().default(0),
+  },
+  (table) => [
+    primaryKey({
+      columns: [table.matchId, table.team, table.actor, table.stat],
+    }),
+  ],
+);
+
+// Webhooks table
+// Partner endpoints that receive live events by HTTP POST (see src/utils/webhooks.js)
+// secret signs every delivery; it is kept as is because signing needs the raw value
+export const webhooks = pgTable("webhooks", {
   id: serial("id").primaryKey(),
-  matchId: integer("match_id")
-    .notNull()
-    .references(() => matches.id),
-  minute: integer("minute"),
-  sequence: integer("sequence"),
-  period: text("period"),
-  eventType: text("event_type"),
-  actor: text("actor"),
-  team: text("team"),
-  message: text("message").notNull(),
-  metadata: jsonb("metadata"),
-  tags: text("tags").array(),
+  url: text("url").notNull(),
+  secret: text("secret").notNull(),
+  // Event types to deliver, e.g. ["commentary", "score_update"]
+  events: text("events").array().notNull(),
+  description: text("description"),
+  active: boolean("active").notNull().default(true),
+  // Whether the content of premium matches is delivered too
+  premium: boolean("premium").notNull().default(false),
   createdAt: timestamp("created_at").notNull().defaultNow(),
 });
+
+// Enum for the state of a webhook delivery
+export const webhookDeliveryStatusEnum = pgEnum("webhook_delivery_status", [
+  "pending",
+  "succeeded",
+  "failed",
+]);
+
+// Webhook delivery log table
+// One row per event sent to a webhook, with the outcome of its latest attempt
+// Pending deliveries are picked up by the webhook worker once nextAttemptAt has passed
+export const webhookDeliveries = pgTable(
+  "webhook_deliveries",
+  {
+    id: serial("id").primaryKey(),
+    webhookId: integer("webhook_id")
+      .notNull()
+      .references(() => webhooks.id, { onDelete: "cascade" }),
+    eventType: text("event_type").notNull(),
+    payload: jsonb("payload").notNull(),
+    status: webhookDeliveryStatusEnum("status").notNull().default("pending"),
+    attempts: integer("attempts").notNull().default(0),
+    nextAttemptAt: timestamp("next_attempt_at").defaultNow(),
+    lastAttemptAt: timestamp("last_attempt_at"),
+    // HTTP status of the latest response, null if the request itself failed
+    responseStatus: integer("response_status"),
+    lastError: text("last_error"),
+    deliveredAt: timestamp("delivered_at"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+  },
+  (table) => [
+    index("webhook_deliveries_due_idx").on(table.status, table.nextAttemptAt),
+    index("webhook_deliveries_webhook_id_idx").on(table.webhookId, table.id),
+  ],
+);
+
+// Idempotency keys table
+// Remembers the response to each POST sent with an Idempotency-Key header, so a retried
+// request gets the original result instead of creating a duplicate (see src/middleware/idempotency.js)
+// Keys are per user; responseStatus is null while the original request is still running
+export const idempotencyKeys = pgTable(
+  "idempotency_keys",
+  {
+    userId: integer("user_id")
+      .notNull()
+      .references(() => users.id, { onDelete: "cascade" }),
+    key: text("key").notNull(),
+    // The route the key was used on, e.g. "POST /matches/3/commentary"
+    scope: text("scope").notNull(),
+    // Hash of the request body, to catch a key reused for a different request
+    requestHash: text("request_hash").notNull(),
+    responseStatus: integer("response_status"),
+    responseBody: jsonb("response_body"),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+  },
+  (table) => [
+    primaryKey({ columns: [table.userId, table.key] }),
+    index("idempotency_keys_created_at_idx").on(table.createdAt),
+  ],
+);
+
+// Pub/sub messages too large for a Postgres NOTIFY (see src/pubsub/postgres.js)
+// The broker stores the message here and notifies its ID; every instance then
+// loads it, so it is kept for a few minutes rather than deleted once read
+export const pubsubMessages = pgTable(
+  "pubsub_messages",
+  {
+    id: serial("id").primaryKey(),
+    // The message as published, in JSON
+    payload: text("payload").notNull(),
+    createdAt: timestamp("created_at").notNull().defaultNow(),
+  },
+  (table) => [index("pubsub_messages_created_at_idx").on(table.createdAt)],
+);
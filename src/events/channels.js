@@ -0,0 +1,100 @@
+import { MATCH_STATUS } from "../validation/matches.js";
+
+// Channel carrying match lifecycle events (created, updated, deleted, status changes)
+export const MATCHES_CHANNEL = "matches";
+
+// Maximum number of channels a single client may follow
+export const MAX_CHANNELS_PER_CLIENT = 100;
+
+// Sport and team names are matched case-insensitively
+function normalizeName(name) {
+  return String(name).trim().toLowerCase();
+}
+
+/**
+ * Name of the channel for a single match, e.g. "match:42".
+ * @param {number} matchId
+ * @returns {string}
+ */
+export function matchChannel(matchId) {
+  return `match:${matchId}`;
+}
+
+/**
+ * Name of the channel for a competition's standings, e.g. "competition:3".
+ * @param {number} competitionId
+ * @returns {string}
+ */
+export function competitionChannel(competitionId) {
+  return `competition:${competitionId}`;
+}
+
+/**
+ * Every channel an event about a match is delivered on:
+ * "match:<id>", "sport:<sport>", "team:<home>", "team:<away>" and "status:<status>".
+ * @param {object} match - The match the event is about.
+ * @param {string} [previousStatus] - Also deliver on this status channel, so
+ *   followers of e.g. "status:live" see a match leave it.
+ * @returns {string[]}
+ */
+export function channelsForMatch(match, previousStatus) {
+  const channels = new Set([
+    matchChannel(match.id),
+    `sport:${normalizeName(match.sport)}`,
+    `team:${normalizeName(match.homeTeam)}`,
+    `team:${normalizeName(match.awayTeam)}`,
+    `status:${match.status}`,
+  ]);
+
+  if (previousStatus) {
+    channels.add(`status:${previousStatus}`);
+  }
+
+  return [...channels];
+}
+
+/**
+ * Validate and normalize a channel name sent by a client.
+ * Accepts "matches", "match:<id>", "competition:<id>", "sport:<name>", "team:<name>"
+ * and "status:<status>".
+ * @param {string} channel - The channel name as sent by the client.
+ * @returns {string|null} - The normalized channel name, or null if invalid.
+ */
+export function normalizeChannel(channel) {
+  if (typeof channel !== "string") return null;
+  if (channel === MATCHES_CHANNEL) return channel;
+
+  const separator = channel.indexOf(":");
+  if (separator === -1) return null;
+
+  const kind = channel.slice(0, separator);
+  const value = channel.slice(separator + 1).trim();
+  if (!value) return null;
+
+  switch (kind) {
+    case "match":
+      return /^[1-9]\d*$/.test(value) ? matchChannel(Number(value)) : null;
+    case "competition":
+      return /^[1-9]\d*$/.test(value)
+        ? competitionChannel(Number(value))
+        : null;
+    case "sport":
+    case "team":
+      return `${kind}:${normalizeName(value)}`;
+    case "status":
+      return Object.values(MATCH_STATUS).includes(value)
+        ? `status:${value}`
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read the match ID from a "match:<id>" channel name.
+ * @param {string} channel - A normalized channel name.
+ * @returns {number|null} - The match ID, or null for other channels.
+ */
+export function matchIdFromChannel(channel) {
+  return channel.startsWith("match:") ? Number(channel.slice(6)) : null;
+}
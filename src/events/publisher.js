@@ -0,0 +1,198 @@
+import {
+  channelsForMatch,
+  competitionChannel,
+  MATCHES_CHANNEL,
+} from "./channels.js";
+
+/**
+ * Create the helpers routes and jobs use to emit live events.
+ * Every event goes through the broker, which is the single source both the
+ * WebSocket server and the Server-Sent Events streams deliver from.
+ * Each event is delivered on the channels of the match it concerns (see
+ * channels.js); lifecycle events are also delivered on the "matches" channel.
+ * Standings events are delivered on the channel of their competition.
+ * @param {object} broker - Pub/sub broker (see src/pubsub).
+ * @param {object} [options]
+ * @param {(message: object) => void} [options.onPublish] - Also called with every
+ *   message published, on this instance only, e.g. to queue webhook deliveries.
+ * @returns {object} - Object with helper functions for broadcasting events
+ */
+export function createEventPublisher(broker, { onPublish } = {}) {
+  /**
+   * Publish a message through the broker.
+   * @param {object} match - The match the event concerns.
+   * @param {object} payload - The data to broadcast.
+   * @param {object} [options]
+   * @param {boolean} [options.lifecycle] - Also deliver on the "matches" channel.
+   * @param {string} [options.previousStatus] - Also deliver on this status channel.
+   */
+  function publish(match, payload, { lifecycle = false, previousStatus } = {}) {
+    const channels = channelsForMatch(match, previousStatus);
+    if (lifecycle) channels.push(MATCHES_CHANNEL);
+
+    send({
+      channels,
+      matchId: match.id,
+      // Only the content of premium matches is restricted, not their existence
+      restricted: !lifecycle && Boolean(match.isPremium),
+      payload,
+    });
+  }
+
+  /**
+   * Hand a message to the broker, logging failures instead of throwing.
+   * @param {object} message - { channels, matchId, restricted, payload }
+   */
+  function send(message) {
+    broker.publish(message).catch((err) => {
+      console.error(`Failed to publish ${message.payload.type}: ${err}`);
+    });
+
+    if (onPublish) onPublish(message);
+  }
+
+  /**
+   * Broadcast a "match created" event.
+   * @param {object} match - The match data to send
+   */
+  function broadcastMatchCreated(match) {
+    publish(match, { type: "match_created", data: match }, { lifecycle: true });
+  }
+
+  /**
+   * Broadcast a "match updated" event.
+   * @param {object} match - The updated match data to send
+   */
+  function broadcastMatchUpdated(match) {
+    publish(match, { type: "match_updated", data: match }, { lifecycle: true });
+  }
+
+  /**
+   * Broadcast a "match deleted" event.
+   * @param {object} match - The match that was deleted
+   */
+  function broadcastMatchDeleted(match) {
+    publish(
+      match,
+      { type: "match_deleted", data: { id: match.id } },
+      { lifecycle: true },
+    );
+  }
+
+  /**
+   * Broadcast a new commentary entry to the clients following its match.
+   * @param {object} match - The match the commentary is for.
+   * @param {object} comment - The commentary data to broadcast.
+   */
+  function broadcastCommentary(match, comment) {
+    publish(match, { type: "commentary", data: comment });
+  }
+
+  /**
+   * Broadcast commentary entries posted together, e.g. through a bulk upload,
+   * as one "commentary_batch" event rather than one event per entry.
+   * @param {object} match - The match the commentary is for.
+   * @param {object[]} entries - The commentary entries, oldest first.
+   */
+  function broadcastCommentaryBatch(match, entries) {
+    publish(match, {
+      type: "commentary_batch",
+      data: { matchId: match.id, entries },
+    });
+  }
+
+  /**
+   * Broadcast a corrected commentary entry to the clients following its match.
+   * @param {object} match - The match the commentary is for.
+   * @param {object} comment - The updated commentary data.
+   */
+  function broadcastCommentaryUpdated(match, comment) {
+    publish(match, { type: "commentary_updated", data: comment });
+  }
+
+  /**
+   * Broadcast a retracted commentary entry to the clients following its match.
+   * @param {object} match - The match the commentary was for.
+   * @param {object} comment - The deleted commentary data.
+   */
+  function broadcastCommentaryDeleted(match, comment) {
+    publish(match, {
+      type: "commentary_deleted",
+      data: { id: comment.id, matchId: match.id, sequence: comment.sequence },
+    });
+  }
+
+  /**
+   * Broadcast a score update to the clients following a match.
+   * @param {object} match - The match with its updated homeScore and awayScore.
+   */
+  function broadcastScoreUpdate(match) {
+    publish(match, {
+      type: "score_update",
+      data: {
+        matchId: match.id,
+        homeScore: match.homeScore,
+        awayScore: match.awayScore,
+      },
+    });
+  }
+
+  /**
+   * Broadcast a match's current stats to the clients following it.
+   * @param {object} match - The match the stats are for.
+   * @param {object} stats - The stats, as returned by readMatchStats.
+   */
+  function broadcastStatsUpdate(match, stats) {
+    publish(match, { type: "stats_update", data: stats });
+  }
+
+  /**
+   * Broadcast a match status transition (e.g. scheduled -> live).
+   * @param {object} match - The match with its new status.
+   * @param {string} previousStatus - The status the match had before the transition.
+   */
+  function broadcastMatchStatusChanged(match, previousStatus) {
+    publish(
+      match,
+      {
+        type: "match_status_changed",
+        data: {
+          matchId: match.id,
+          previousStatus,
+          status: match.status,
+          match,
+        },
+      },
+      { lifecycle: true, previousStatus },
+    );
+  }
+
+  /**
+   * Broadcast a competition season's recomputed standings to the clients following it.
+   * Standings only contain results, so they are not restricted like premium match content.
+   * @param {object} standings - The standings, as returned by computeStandings.
+   */
+  function broadcastStandingsUpdated(standings) {
+    send({
+      channels: [competitionChannel(standings.competitionId)],
+      matchId: null,
+      restricted: false,
+      payload: { type: "standings_updated", data: standings },
+    });
+  }
+
+  // Return helper functions we want to expose
+  return {
+    broadcastMatchCreated,
+    broadcastMatchUpdated,
+    broadcastMatchDeleted,
+    broadcastCommentary,
+    broadcastCommentaryBatch,
+    broadcastCommentaryUpdated,
+    broadcastCommentaryDeleted,
+    broadcastScoreUpdate,
+    broadcastStatsUpdate,
+    broadcastMatchStatusChanged,
+    broadcastStandingsUpdated,
+  };
+}
@@ -0,0 +1,56 @@
+import { and, asc, eq, gt } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { commentary } from "../db/schema.js";
+
+// Number of commentary rows fetched per query while replaying missed events
+const REPLAY_BATCH_SIZE = 100;
+
+/**
+ * Read every commentary entry for a match posted after the given cursor, oldest first.
+ * Rows are fetched in batches so long matches are never loaded in one query.
+ * @param {number} matchId - The ID of the match to replay.
+ * @param {number} since - The ID of the last commentary entry the client has seen.
+ * @returns {AsyncGenerator<object>} - The missed commentary rows.
+ */
+export async function* readCommentarySince(matchId, since) {
+  let cursor = since;
+
+  while (true) {
+    const rows = await db
+      .select()
+      .from(commentary)
+      .where(and(eq(commentary.matchId, matchId), gt(commentary.id, cursor)))
+      .orderBy(asc(commentary.id))
+      .limit(REPLAY_BATCH_SIZE);
+
+    for (const row of rows) {
+      yield row;
+      cursor = row.id;
+    }
+
+    if (rows.length < REPLAY_BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Remove the commentary a replay already sent from a live event buffered during it.
+ * @param {object} payload - The buffered event.
+ * @param {Set<number>} replayedIds - The IDs of the replayed commentary entries.
+ * @returns {object|null} - The event to send, or null if there is nothing left to send.
+ */
+export function skipReplayedCommentary(payload, replayedIds) {
+  if (payload.type === "commentary") {
+    return replayedIds.has(payload.data?.id) ? null : payload;
+  }
+
+  if (payload.type === "commentary_batch") {
+    const entries = payload.data.entries.filter(
+      (entry) => !replayedIds.has(entry.id),
+    );
+    if (entries.length === 0) return null;
+    if (entries.length === payload.data.entries.length) return payload;
+    return { ...payload, data: { ...payload.data, entries } };
+  }
+
+  return payload;
+}
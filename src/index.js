@@ -4,8 +4,23 @@ import express from "express";
 import http from "http";
 import { matchRouter } from "./routes/matches.js";
 import { commentaryRouter } from "./routes/commentary.js";
+import { commentarySearchRouter } from "./routes/commentary-search.js";
+import { userRouter } from "./routes/users.js";
+import { teamRouter } from "./routes/teams.js";
+import { competitionRouter } from "./routes/competitions.js";
+import { metricsRouter } from "./routes/metrics.js";
+import { webhookRouter } from "./routes/webhooks.js";
 import { attachWebSocketServer } from "./ws/server.js";
 import { securityMiddleware } from "./arcjet.js";
+import { startMatchStatusScheduler } from "./jobs/match-status-scheduler.js";
+import { startWebhookWorker } from "./jobs/webhook-worker.js";
+import { startIdempotencyKeyPruner } from "./jobs/idempotency-key-pruner.js";
+import { createBroker } from "./pubsub/index.js";
+import { createEventPublisher } from "./events/publisher.js";
+import { createSseStreams } from "./sse/server.js";
+import { publishStandingsForMatch } from "./utils/standings.js";
+import { enqueueWebhookDeliveries } from "./utils/webhooks.js";
+import { MATCH_STATUS } from "./validation/matches.js";
 
 // Port for both HTTP and WebSocket server
 const PORT = Number(process.env.PORT || 8083);
@@ -36,15 +51,69 @@ app.use(express.json());
 // This will run before all routes and filter requests
 // app.use(securityMiddleware());
 
+// ------------------------- Live Events -------------------------
+
+// Pub/sub broker that fans events out to clients on every instance
+// Use PUBSUB_ADAPTER=postgres when running more than one instance
+const broker = createBroker(process.env.PUBSUB_ADAPTER);
+
+// Helpers for broadcasting events, e.g. broadcastMatchCreated or broadcastCommentary
+// Both the WebSocket server and the Server-Sent Events streams deliver what they publish,
+// and every event is queued for the webhooks subscribed to it
+const eventPublisher = createEventPublisher(broker, {
+  onPublish: enqueueWebhookDeliveries,
+});
+
+// Make the broadcast helpers globally accessible via app.locals
+// This allows other parts of the Express app (like routes) to broadcast events easily
+Object.assign(app.locals, eventPublisher);
+
+// Recompute a season's standings when one of its results changes
+// and push them to the clients following its competition
+function refreshStandings(match) {
+  publishStandingsForMatch(match, eventPublisher.broadcastStandingsUpdated);
+}
+app.locals.refreshStandings = refreshStandings;
+
+// Announce a match status transition, whether the scheduler or a request noticed it
+function announceMatchStatusChange(match, previousStatus) {
+  eventPublisher.broadcastMatchStatusChanged(match, previousStatus);
+  if (match.status === MATCH_STATUS.FINISHED) refreshStandings(match);
+}
+app.locals.announceMatchStatusChange = announceMatchStatusChange;
+
 // ------------------------- Routes -------------------------
 // Routers are technically middleware that can have multiple routes inside
 
+// Mount the Server-Sent Events streams (/matches/stream, /matches/:id/stream)
+// before matchRouter so "/stream" is not treated as a match ID
+const sseStreams = createSseStreams({ broker });
+app.use("/matches", sseStreams.router);
+
 // Mount matchRouter on /matches path
 app.use("/matches", matchRouter);
 
 // Mount commentaryRouter on /matches/:id/commentary path
 app.use("/matches/:id/commentary", commentaryRouter);
 
+// Mount commentarySearchRouter on /commentary path (search across every match)
+app.use("/commentary", commentarySearchRouter);
+
+// Mount teamRouter on /teams path (teams and their players)
+app.use("/teams", teamRouter);
+
+// Mount competitionRouter on /competitions path (competitions, seasons and standings)
+app.use("/competitions", competitionRouter);
+
+// Mount userRouter on /users path (admin-only user and API key management)
+app.use("/users", userRouter);
+
+// Mount metricsRouter on /metrics path (admin-only operational counters)
+app.use("/metrics", metricsRouter);
+
+// Mount webhookRouter on /webhooks path (admin-only webhook subscriptions and deliveries)
+app.use("/webhooks", webhookRouter);
+
 // Root route for testing / health check
 app.get("/", (req, res) => {
   res.send("Hello from Express server!");
@@ -53,14 +122,62 @@ app.get("/", (req, res) => {
 // ------------------------- WebSocket -------------------------
 
 // Attach WebSocket server to the same HTTP server
-// Returns helper functions, e.g., for broadcasting events
-const { broadcastMatchCreated, broadcastCommentary } =
-  attachWebSocketServer(server);
+// It delivers the events published through the broker to connected clients,
+// queuing messages for clients that fall behind and disconnecting those too far behind
+const webSocketServer = attachWebSocketServer(server, {
+  broker,
+  highWaterMark: Number(process.env.WS_HIGH_WATER_MARK_BYTES || 256 * 1024),
+  maxQueuedBytes: Number(process.env.WS_MAX_QUEUED_BYTES || 2 * 1024 * 1024),
+  // permessage-deflate is off unless WS_PERMESSAGE_DEFLATE=true
+  // Compression costs CPU and, with context takeover, memory on every connection
+  perMessageDeflate:
+    process.env.WS_PERMESSAGE_DEFLATE === "true"
+      ? {
+          // Messages smaller than this are sent uncompressed
+          threshold: Number(process.env.WS_DEFLATE_THRESHOLD_BYTES || 1024),
+          // zlib level, 1 (fastest) to 9 (smallest)
+          zlibDeflateOptions: {
+            level: Number(process.env.WS_DEFLATE_LEVEL || 3),
+          },
+          // Keep a compression context per connection only if asked to
+          serverNoContextTakeover:
+            process.env.WS_DEFLATE_CONTEXT_TAKEOVER !== "true",
+          // Maximum concurrent zlib operations
+          concurrencyLimit: Number(process.env.WS_DEFLATE_CONCURRENCY || 10),
+        }
+      : false,
+});
 
-// Make broadcastMatchCreated & broadcastCommentary globally accessible via app.locals
-// This allows other parts of the Express app (like routes) to broadcast events easily
-app.locals.broadcastMatchCreated = broadcastMatchCreated;
-app.locals.broadcastCommentary = broadcastCommentary;
+// Expose the WebSocket metrics to the /metrics route
+app.locals.getWebSocketMetrics = webSocketServer.getMetrics;
+
+// ------------------------- Background Jobs -------------------------
+
+// Move matches between scheduled, live and finished as their times pass
+// and let clients know about each transition; finished matches update their season's standings
+const stopMatchStatusScheduler = startMatchStatusScheduler({
+  onStatusChange: announceMatchStatusChange,
+  intervalMs: Number(process.env.MATCH_STATUS_SYNC_INTERVAL_MS || 15000),
+});
+
+// Send queued webhook deliveries, retrying failed ones with exponential backoff
+const stopWebhookWorker = startWebhookWorker({
+  intervalMs: Number(process.env.WEBHOOK_POLL_INTERVAL_MS || 2000),
+});
+
+// Forget Idempotency-Key responses once they are past IDEMPOTENCY_KEY_RETENTION_HOURS
+const stopIdempotencyKeyPruner = startIdempotencyKeyPruner();
+
+// Stop background jobs, streams and the broker when the HTTP server shuts down
+server.on("close", () => {
+  stopMatchStatusScheduler();
+  stopWebhookWorker();
+  stopIdempotencyKeyPruner();
+  sseStreams.close();
+  broker
+    .close()
+    .catch((err) => console.error(`Failed to close broker: ${err}`));
+});
 
 // ------------------------- Server Startup -------------------------
 
@@ -0,0 +1,44 @@
+import { db } from "../db/db.js";
+import { idempotencyKeys } from "../db/schema.js";
+import { idempotencyKeyExpired } from "../middleware/idempotency.js";
+
+// How often to delete expired idempotency keys
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Delete the idempotency keys, and their stored responses, that are past the retention window.
+ * @returns {Promise<number>} - The number of keys deleted.
+ */
+export async function pruneIdempotencyKeys() {
+  const deleted = await db
+    .delete(idempotencyKeys)
+    .where(idempotencyKeyExpired())
+    .returning({ key: idempotencyKeys.key });
+
+  return deleted.length;
+}
+
+/**
+ * Start a background job that keeps the idempotency keys table from growing forever.
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] - How often to prune, in milliseconds.
+ * @returns {() => void} - Function that stops the job.
+ */
+export function startIdempotencyKeyPruner({
+  intervalMs = DEFAULT_INTERVAL_MS,
+} = {}) {
+  async function tick() {
+    try {
+      await pruneIdempotencyKeys();
+    } catch (err) {
+      console.error(`Idempotency key pruning failed: ${err}`);
+    }
+  }
+
+  const interval = setInterval(tick, intervalMs);
+
+  // Run once immediately so keys that expired while the server was down go too
+  tick();
+
+  return () => clearInterval(interval);
+}
@@ -0,0 +1,88 @@
+import { and, eq, lte, or, sql } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { matches } from "../db/schema.js";
+import { transitionMatchStatus } from "../utils/match-status.js";
+import { MATCH_STATUS } from "../validation/matches.js";
+
+// How often to check for matches whose status is out of date
+const DEFAULT_INTERVAL_MS = 15000;
+
+/**
+ * Find every match whose start or end time has passed since its status was stored,
+ * persist the new status and notify listeners.
+ * @param {(match: object, previousStatus: string) => void} onStatusChange - Called for each match that changed.
+ * @returns {Promise<number>} - The number of matches that changed status.
+ */
+export async function syncAllMatchStatuses(onStatusChange) {
+  // Only scheduled matches that have started and live matches that have ended
+  // are due; finished matches never transition again
+  const candidates = await db
+    .select()
+    .from(matches)
+    .where(
+      or(
+        and(
+          eq(matches.status, MATCH_STATUS.SCHEDULED),
+          lte(matches.startTime, sql`now()`),
+        ),
+        and(
+          eq(matches.status, MATCH_STATUS.LIVE),
+          lte(matches.endTime, sql`now()`),
+        ),
+      ),
+    );
+
+  let changedCount = 0;
+
+  for (const match of candidates) {
+    // Concurrent runs, and requests that noticed the transition first, never
+    // report the same transition twice
+    const previousStatus = await transitionMatchStatus(match);
+    if (!previousStatus) continue;
+
+    changedCount += 1;
+
+    try {
+      onStatusChange(match, previousStatus);
+    } catch (err) {
+      console.warn("Failed to broadcast match_status_changed:", err);
+    }
+  }
+
+  return changedCount;
+}
+
+/**
+ * Start a background job that keeps match statuses in sync with their start and end times.
+ * @param {object} options
+ * @param {(match: object, previousStatus: string) => void} options.onStatusChange - Called for each match that changed.
+ * @param {number} [options.intervalMs] - How often to run the sync, in milliseconds.
+ * @returns {() => void} - Function that stops the scheduler.
+ */
+export function startMatchStatusScheduler({
+  onStatusChange,
+  intervalMs = DEFAULT_INTERVAL_MS,
+}) {
+  // Skip a tick if the previous run is still in progress
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+
+    try {
+      await syncAllMatchStatuses(onStatusChange);
+    } catch (err) {
+      console.error(`Match status sync failed: ${err}`);
+    } finally {
+      running = false;
+    }
+  }
+
+  const interval = setInterval(tick, intervalMs);
+
+  // Run once immediately so statuses are correct right after startup
+  tick();
+
+  return () => clearInterval(interval);
+}
@@ -0,0 +1,172 @@
+import { and, asc, eq, inArray, lte, sql } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { webhookDeliveries, webhooks } from "../db/schema.js";
+import {
+  MAX_DELIVERY_ATTEMPTS,
+  retryDelayMs,
+  sendWebhookDelivery,
+} from "../utils/webhooks.js";
+import { WEBHOOK_DELIVERY_STATUS } from "../validation/webhooks.js";
+
+// How often to look for deliveries that are due
+const DEFAULT_INTERVAL_MS = 2000;
+
+// Deliveries sent per run
+const DEFAULT_BATCH_SIZE = 20;
+
+// A claimed delivery is retried after this long if its worker never reports back,
+// e.g. because the instance stopped mid-delivery
+// Times are computed by the database, like nextAttemptAt's default, so they compare
+// correctly with now() whatever the server's time zone
+const CLAIM_LEASE_MS = 60 * 1000;
+
+/**
+ * Claim the pending deliveries that are due and count the attempt.
+ * Rows locked by another instance's worker are skipped, so each delivery is claimed once.
+ * @param {number} batchSize - The maximum number of deliveries to claim.
+ * @returns {Promise<object[]>}
+ */
+async function claimDueDeliveries(batchSize) {
+  const due = db
+    .select({ id: webhookDeliveries.id })
+    .from(webhookDeliveries)
+    .where(
+      and(
+        eq(webhookDeliveries.status, WEBHOOK_DELIVERY_STATUS.PENDING),
+        lte(webhookDeliveries.nextAttemptAt, sql`now()`),
+      ),
+    )
+    .orderBy(asc(webhookDeliveries.nextAttemptAt))
+    .limit(batchSize)
+    .for("update", { skipLocked: true });
+
+  return db
+    .update(webhookDeliveries)
+    .set({
+      attempts: sql`${webhookDeliveries.attempts} + 1`,
+      lastAttemptAt: sql`now()`,
+      nextAttemptAt: sql`now() + make_interval(secs => ${CLAIM_LEASE_MS / 1000})`,
+    })
+    .where(inArray(webhookDeliveries.id, due))
+    .returning();
+}
+
+/**
+ * Record the outcome of an attempt: delivered, retried later with a longer
+ * delay, or failed for good once MAX_DELIVERY_ATTEMPTS is reached.
+ * @param {object} delivery - The claimed delivery, with its attempts so far.
+ * @param {{ ok: boolean, responseStatus: number|null, error: string|null }} result
+ * @param {boolean} [giveUp] - Fail a failed attempt for good, whatever the attempts left.
+ */
+async function recordAttempt(delivery, result, giveUp = false) {
+  let changes;
+  if (result.ok) {
+    changes = {
+      status: WEBHOOK_DELIVERY_STATUS.SUCCEEDED,
+      nextAttemptAt: null,
+      deliveredAt: sql`now()`,
+    };
+  } else if (giveUp || delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+    changes = { status: WEBHOOK_DELIVERY_STATUS.FAILED, nextAttemptAt: null };
+  } else {
+    const delaySeconds = retryDelayMs(delivery.attempts) / 1000;
+    changes = {
+      nextAttemptAt: sql`now() + make_interval(secs => ${delaySeconds})`,
+    };
+  }
+
+  await db
+    .update(webhookDeliveries)
+    .set({
+      ...changes,
+      responseStatus: result.responseStatus,
+      lastError: result.error,
+    })
+    .where(eq(webhookDeliveries.id, delivery.id));
+}
+
+/**
+ * Send every webhook delivery that is due.
+ * Deliveries of webhooks disabled since they were queued fail straight away;
+ * they can be replayed once the webhook is enabled again.
+ * @param {object} [options]
+ * @param {number} [options.batchSize] - The maximum number of deliveries to send.
+ * @returns {Promise<number>} - The number of deliveries attempted.
+ */
+export async function processDueWebhookDeliveries({
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) {
+  const deliveries = await claimDueDeliveries(batchSize);
+  if (deliveries.length === 0) return 0;
+
+  const targets = await db
+    .select()
+    .from(webhooks)
+    .where(
+      inArray(
+        webhooks.id,
+        deliveries.map((delivery) => delivery.webhookId),
+      ),
+    );
+  const webhooksById = new Map(targets.map((webhook) => [webhook.id, webhook]));
+
+  // Deliveries go out concurrently; a slow endpoint only holds up its own
+  await Promise.all(
+    deliveries.map(async (delivery) => {
+      const webhook = webhooksById.get(delivery.webhookId);
+      if (!webhook?.active) {
+        const result = {
+          ok: false,
+          responseStatus: null,
+          error: "Webhook is disabled",
+        };
+        return recordAttempt(delivery, result, true);
+      }
+
+      const result = await sendWebhookDelivery(webhook, delivery);
+      await recordAttempt(delivery, result);
+    }),
+  );
+
+  return deliveries.length;
+}
+
+/**
+ * Start a background job that sends queued webhook deliveries and retries failed ones.
+ * Safe to run on every instance.
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] - How often to look for due deliveries, in milliseconds.
+ * @param {number} [options.batchSize] - The maximum number of deliveries sent per run.
+ * @returns {() => void} - Function that stops the worker.
+ */
+export function startWebhookWorker({
+  intervalMs = DEFAULT_INTERVAL_MS,
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) {
+  // Skip a tick if the previous run is still in progress
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+
+    try {
+      // Keep going while full batches come back, so a backlog drains quickly
+      let attempted;
+      do {
+        attempted = await processDueWebhookDeliveries({ batchSize });
+      } while (attempted === batchSize);
+    } catch (err) {
+      console.error(`Webhook delivery failed: ${err}`);
+    } finally {
+      running = false;
+    }
+  }
+
+  const interval = setInterval(tick, intervalMs);
+
+  // Run once immediately so deliveries queued before a restart go out right away
+  tick();
+
+  return () => clearInterval(interval);
+}
@@ -0,0 +1,170 @@
+import { and, eq } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { matchCommentators, users } from "../db/schema.js";
+import { hashApiKey } from "../utils/api-keys.js";
+import { matchIdParamSchema } from "../validation/matches.js";
+import { USER_ROLES } from "../validation/users.js";
+
+/**
+ * Read the API key from the Authorization (Bearer) or X-API-Key header.
+ * @param {import("express").Request} req
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+  const authorization = req.get("authorization");
+  if (authorization) {
+    const [scheme, token] = authorization.split(" ");
+    return scheme?.toLowerCase() === "bearer" && token ? token : null;
+  }
+
+  return req.get("x-api-key") || null;
+}
+
+/**
+ * Look up the user an API key belongs to.
+ * @param {string} apiKey - The raw API key.
+ * @returns {Promise<object|null>} - The user, or null if the key is unknown.
+ */
+export async function findUserByApiKey(apiKey) {
+  const [user] = await db
+    .select({
+      id: users.id,
+      name: users.name,
+      role: users.role,
+      premium: users.premium,
+    })
+    .from(users)
+    .where(eq(users.apiKeyHash, hashApiKey(apiKey)))
+    .limit(1);
+
+  return user ?? null;
+}
+
+/**
+ * Check whether a user may follow a match.
+ * Public matches are open to everyone, including anonymous users (null).
+ * Premium matches need a premium user, an admin or a commentator.
+ * @param {object|null} user - The authenticated user, or null if anonymous.
+ * @param {{ isPremium: boolean }} match - The match to check.
+ * @returns {boolean}
+ */
+export function canAccessMatch(user, match) {
+  if (!match.isPremium) return true;
+  if (!user) return false;
+
+  return (
+    user.premium ||
+    user.role === USER_ROLES.ADMIN ||
+    user.role === USER_ROLES.COMMENTATOR
+  );
+}
+
+/**
+ * Express middleware that requires a valid API key and sets req.user.
+ * Responds with 401 if the key is missing or unknown.
+ */
+export async function authenticate(req, res, next) {
+  const apiKey = readApiKey(req);
+  if (!apiKey) {
+    return res.status(401).json({ error: "Authentication required." });
+  }
+
+  try {
+    const user = await findUserByApiKey(apiKey);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid API key." });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error(`Failed to authenticate: ${err}`);
+    res.status(500).json({ error: "Failed to authenticate." });
+  }
+}
+
+/**
+ * Express middleware that identifies the user when an API key is provided and
+ * sets req.user, or sets it to null for anonymous requests.
+ * Also accepts the key as a "token" query parameter, since browser EventSource
+ * and WebSocket clients cannot set headers; only use it on read-only routes.
+ * Responds with 401 if a key is provided but unknown.
+ */
+export async function optionalAuthenticate(req, res, next) {
+  const apiKey =
+    readApiKey(req) ??
+    (typeof req.query.token === "string" ? req.query.token : null);
+
+  if (!apiKey) {
+    req.user = null;
+    return next();
+  }
+
+  try {
+    const user = await findUserByApiKey(apiKey);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid API key." });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error(`Failed to authenticate: ${err}`);
+    res.status(500).json({ error: "Failed to authenticate." });
+  }
+}
+
+/**
+ * Express middleware that only lets users with one of the given roles through.
+ * Must run after authenticate. Responds with 403 otherwise.
+ * @param {...string} roles - The allowed roles.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res.status(403).json({ error: "Forbidden." });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware that only lets admins and commentators assigned to the
+ * match in req.params.id through. Must run after authenticate.
+ * Responds with 403 otherwise.
+ */
+export async function requireMatchAssignment(req, res, next) {
+  if (req.user?.role === USER_ROLES.ADMIN) return next();
+
+  if (req.user?.role !== USER_ROLES.COMMENTATOR) {
+    return res.status(403).json({ error: "Forbidden." });
+  }
+
+  // Leave invalid IDs to the route handler, which reports them as 400
+  const paramsResult = matchIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) return next();
+
+  try {
+    const [assignment] = await db
+      .select()
+      .from(matchCommentators)
+      .where(
+        and(
+          eq(matchCommentators.matchId, paramsResult.data.id),
+          eq(matchCommentators.userId, req.user.id),
+        ),
+      )
+      .limit(1);
+
+    if (!assignment) {
+      return res
+        .status(403)
+        .json({ error: "You are not assigned to this match." });
+    }
+
+    next();
+  } catch (err) {
+    console.error(`Failed to check match assignment: ${err}`);
+    res.status(500).json({ error: "Failed to authorize." });
+  }
+}
@@ -0,0 +1,169 @@
+import { createHash } from "crypto";
+import { and, eq, isNull, or, sql } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { idempotencyKeys } from "../db/schema.js";
+
+// How long a key and its stored response are kept
+export const IDEMPOTENCY_KEY_RETENTION_HOURS = Number(
+  process.env.IDEMPOTENCY_KEY_RETENTION_HOURS || 24,
+);
+
+// How long a request keeps its key before a retry may take it over, in case the
+// instance handling it stopped before it could respond or release the key
+export const IDEMPOTENCY_KEY_LEASE_SECONDS = Number(
+  process.env.IDEMPOTENCY_KEY_LEASE_SECONDS || 30,
+);
+
+// Longest Idempotency-Key accepted, e.g. room for a UUID with a client prefix
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * SQL condition matching keys older than the retention window.
+ * Computed by the database, like createdAt's default, so it is independent of the
+ * server's time zone.
+ * @returns {import("drizzle-orm").SQL}
+ */
+export function idempotencyKeyExpired() {
+  return sql`${idempotencyKeys.createdAt} < now() - make_interval(hours => ${IDEMPOTENCY_KEY_RETENTION_HOURS})`;
+}
+
+// Seconds left before a key still in progress can be taken over, computed by the database
+function leaseRemainingSeconds() {
+  return sql`ceil(extract(epoch from ${idempotencyKeys.createdAt} + make_interval(secs => ${IDEMPOTENCY_KEY_LEASE_SECONDS}) - now()))`.mapWith(
+    Number,
+  );
+}
+
+/**
+ * Express middleware that makes a POST safe to retry with an Idempotency-Key header.
+ * The first request with a key runs as usual and its response is stored; a retry
+ * with the same key gets the stored response back, marked with an
+ * Idempotent-Replayed header, without running the route again (so nothing is
+ * inserted or broadcast twice).
+ * - A key reused for another route or another body is rejected with 422
+ * - A retry while the first request is still running is rejected with 409 and a
+ *   Retry-After header; after IDEMPOTENCY_KEY_LEASE_SECONDS without a response,
+ *   e.g. because the instance restarted, a retry takes the key over and runs
+ * - 5xx responses are not stored, so the request can be retried with the same key
+ * Keys are per user and kept for IDEMPOTENCY_KEY_RETENTION_HOURS. Requests without
+ * the header are not affected. Must run after authenticate.
+ */
+export async function idempotent(req, res, next) {
+  const key = req.get("idempotency-key");
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters.`,
+    });
+  }
+
+  const userId = req.user.id;
+  const scope = `${req.method} ${`${req.baseUrl}${req.path}`.replace(/\/$/, "")}`;
+  const requestHash = createHash("sha256")
+    .update(JSON.stringify(req.body ?? null))
+    .digest("hex");
+  const sameKey = and(
+    eq(idempotencyKeys.userId, userId),
+    eq(idempotencyKeys.key, key),
+  );
+
+  try {
+    // Claim the key, taking over an expired one that has not been pruned yet
+    // or one whose request never responded within its lease
+    const [claimed] = await db
+      .insert(idempotencyKeys)
+      .values({ userId, key, scope, requestHash })
+      .onConflictDoUpdate({
+        target: [idempotencyKeys.userId, idempotencyKeys.key],
+        set: {
+          scope,
+          requestHash,
+          responseStatus: null,
+          responseBody: null,
+          createdAt: sql`now()`,
+        },
+        setWhere: or(
+          idempotencyKeyExpired(),
+          and(
+            isNull(idempotencyKeys.responseStatus),
+            sql`${leaseRemainingSeconds()} <= 0`,
+          ),
+        ),
+      })
+      .returning();
+
+    if (!claimed) {
+      const [existing] = await db
+        .select({
+          scope: idempotencyKeys.scope,
+          requestHash: idempotencyKeys.requestHash,
+          responseStatus: idempotencyKeys.responseStatus,
+          responseBody: idempotencyKeys.responseBody,
+          leaseRemaining: leaseRemainingSeconds(),
+        })
+        .from(idempotencyKeys)
+        .where(sameKey)
+        .limit(1);
+
+      // The first request failed and released the key in the meantime; claim it again
+      if (!existing) return idempotent(req, res, next);
+
+      if (existing.scope !== scope || existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: "Idempotency-Key was already used for a different request.",
+        });
+      }
+
+      if (existing.responseStatus === null) {
+        res.set("Retry-After", String(Math.max(existing.leaseRemaining, 1)));
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still in progress.",
+        });
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+  } catch (err) {
+    console.error(`Failed to check idempotency key: ${err}`);
+    return res.status(500).json({ error: "Failed to check idempotency key." });
+  }
+
+  // Drop the key so a retry runs the request again
+  const release = () => db.delete(idempotencyKeys).where(sameKey);
+
+  // Store the response before sending it, so a retry arriving right after it
+  // finds the result rather than a request still in progress
+  let responded = false;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    responded = true;
+
+    const save =
+      res.statusCode >= 500
+        ? release()
+        : db
+            .update(idempotencyKeys)
+            .set({ responseStatus: res.statusCode, responseBody: body })
+            .where(sameKey);
+
+    save
+      .catch((err) => {
+        console.error(`Failed to store idempotent response: ${err}`);
+      })
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  // Release the key if the request ends without a JSON response, e.g. on an unexpected error
+  res.on("close", () => {
+    if (responded) return;
+    release().catch((err) => {
+      console.error(`Failed to release idempotency key: ${err}`);
+    });
+  });
+
+  next();
+}
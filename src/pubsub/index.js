@@ -0,0 +1,20 @@
+import { pool } from "../db/db.js";
+import { createMemoryBroker } from "./memory.js";
+import { createPostgresBroker } from "./postgres.js";
+
+/**
+ * Create the pub/sub broker used to fan events out to connected clients.
+ * @param {string} [adapter] - "memory" (default) for a single instance,
+ *   or "postgres" to reach clients on every instance via LISTEN/NOTIFY.
+ * @returns {object} - Broker with publish, subscribe and close methods
+ */
+export function createBroker(adapter = "memory") {
+  switch (adapter) {
+    case "memory":
+      return createMemoryBroker();
+    case "postgres":
+      return createPostgresBroker(pool);
+    default:
+      throw new Error(`Unknown pub/sub adapter: ${adapter}`);
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Create a broker that delivers messages to subscribers in the same process.
+ * Suitable for a single instance; use the Postgres broker when running several.
+ * @returns {object} - Broker with publish, subscribe and close methods
+ */
+export function createMemoryBroker() {
+  const handlers = new Set();
+
+  return {
+    /**
+     * Deliver a message to every subscriber.
+     * @param {object} message - The message to deliver.
+     */
+    async publish(message) {
+      for (const handler of handlers) {
+        handler(message);
+      }
+    },
+
+    /**
+     * Register a handler for published messages.
+     * @param {(message: object) => void} handler - Called for every message.
+     * @returns {() => void} - Function that removes the handler.
+     */
+    subscribe(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+
+    async close() {
+      handlers.clear();
+    },
+  };
+}
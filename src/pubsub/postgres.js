@@ -0,0 +1,185 @@
+// Postgres rejects NOTIFY payloads of 8000 bytes or more
+const MAX_PAYLOAD_BYTES = 7999;
+
+// Delay before trying to LISTEN again after the listener connection fails
+const RECONNECT_DELAY_MS = 3000;
+
+// Larger messages are stored in the pubsub_messages table and only their ID is
+// notified; every instance loads them from there, so they are kept this long
+const STORED_MESSAGE_RETENTION_SECONDS = 5 * 60;
+
+// Stored messages past their retention are deleted at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a broker that fans messages out to every instance through Postgres LISTEN/NOTIFY.
+ * One pooled connection is held open to LISTEN; publishing uses any pooled connection.
+ * Messages are delivered to local subscribers when the notification comes back,
+ * so every instance, including the publishing one, receives them the same way.
+ * Messages too large for NOTIFY are stored in the pubsub_messages table and
+ * notified by reference; listeners load them, keeping the order they were sent in.
+ * @param {import("pg").Pool} pool - The shared Postgres connection pool.
+ * @param {object} [options]
+ * @param {string} [options.channel] - The NOTIFY channel to use.
+ * @returns {object} - Broker with publish, subscribe and close methods
+ */
+export function createPostgresBroker(pool, { channel = "sportz_events" } = {}) {
+  const handlers = new Set();
+  let listener = null;
+  let reconnectTimer = null;
+  let closed = false;
+  let lastPrunedAt = 0;
+
+  // Notifications are handled one after the other, so a stored message being
+  // loaded is not overtaken by the small messages published after it
+  let handling = Promise.resolve();
+
+  function deliver(message) {
+    for (const handler of handlers) {
+      try {
+        handler(message);
+      } catch (err) {
+        console.error(`Pub/sub handler error: ${err}`);
+      }
+    }
+  }
+
+  function scheduleReconnect() {
+    if (closed || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      listen();
+    }, RECONNECT_DELAY_MS);
+  }
+
+  async function listen() {
+    let client;
+    try {
+      client = await pool.connect();
+    } catch (err) {
+      console.error(`Pub/sub failed to connect: ${err}`);
+      scheduleReconnect();
+      return;
+    }
+
+    client.on("notification", (notification) => {
+      if (notification.channel !== channel) return;
+
+      handling = handling
+        .then(() => readNotification(notification.payload))
+        .then((message) => {
+          if (message) deliver(message);
+        });
+    });
+
+    // Drop the broken connection from the pool and listen on a fresh one
+    client.on("error", (err) => {
+      console.error(`Pub/sub listener error: ${err}`);
+      if (listener !== client) return;
+      listener = null;
+      client.release(err);
+      scheduleReconnect();
+    });
+
+    try {
+      await client.query(`LISTEN "${channel}"`);
+      listener = client;
+    } catch (err) {
+      console.error(`Pub/sub failed to LISTEN: ${err}`);
+      client.release(err);
+      scheduleReconnect();
+    }
+  }
+
+  /**
+   * Read the message a notification carries, loading it if it was stored.
+   * @param {string} payload - The notification payload.
+   * @returns {Promise<object|null>} - The message, or null if it cannot be read.
+   */
+  async function readNotification(payload) {
+    try {
+      const notified = JSON.parse(payload);
+      if (notified.storedMessageId === undefined) return notified;
+
+      const { rows } = await pool.query(
+        "SELECT payload FROM pubsub_messages WHERE id = $1",
+        [notified.storedMessageId],
+      );
+      if (rows.length === 0) {
+        console.error(
+          `Pub/sub stored message ${notified.storedMessageId} not found`,
+        );
+        return null;
+      }
+      return JSON.parse(rows[0].payload);
+    } catch (err) {
+      console.error(`Pub/sub received invalid payload: ${err}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store a message too large for NOTIFY and return the notification referring to it.
+   * Stored messages past their retention are deleted on the way.
+   * @param {string} payload - The message, in JSON.
+   * @returns {Promise<string>} - The notification payload.
+   */
+  async function storeMessage(payload) {
+    if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+      lastPrunedAt = Date.now();
+      await pool.query(
+        "DELETE FROM pubsub_messages WHERE created_at < now() - make_interval(secs => $1)",
+        [STORED_MESSAGE_RETENTION_SECONDS],
+      );
+    }
+
+    const { rows } = await pool.query(
+      "INSERT INTO pubsub_messages (payload) VALUES ($1) RETURNING id",
+      [payload],
+    );
+    return JSON.stringify({ storedMessageId: rows[0].id });
+  }
+
+  listen();
+
+  return {
+    /**
+     * Publish a message to subscribers on every instance.
+     * Rejects if the message could not be stored or notified.
+     * @param {object} message - The message to publish (will be converted to JSON).
+     */
+    async publish(message) {
+      let payload = JSON.stringify(message);
+
+      // Too large for NOTIFY: store it and notify where to find it
+      if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+        payload = await storeMessage(payload);
+      }
+
+      await pool.query("SELECT pg_notify($1, $2)", [channel, payload]);
+    },
+
+    /**
+     * Register a handler for published messages.
+     * @param {(message: object) => void} handler - Called for every message.
+     * @returns {() => void} - Function that removes the handler.
+     */
+    subscribe(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+
+    async close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      handlers.clear();
+
+      if (listener) {
+        const client = listener;
+        listener = null;
+        await client.query(`UNLISTEN "${channel}"`).catch(() => {});
+        client.release();
+      }
+    },
+  };
+}
@@ -0,0 +1,113 @@
+import { Router } from "express";
+import { and, arrayContains, desc, eq, sql } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { commentary, commentarySearchDocument, matches } from "../db/schema.js";
+import { canAccessMatch, optionalAuthenticate } from "../middleware/auth.js";
+import { searchCommentaryQuerySchema } from "../validation/commentary.js";
+
+// Create a new Express router instance for searching commentary across matches
+export const commentarySearchRouter = Router();
+
+// Define the maximum number of results that can be returned in a single request
+const MAX_LIMIT = 100;
+
+// Markers around the matched words in snippets
+// Messages are not HTML-escaped, so clients rendering snippets as HTML must escape them first
+const HEADLINE_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2";
+
+// GET /commentary/search - Full-text search over every match's commentary
+// q matches the actor, message, team and tags; tag only keeps entries with that exact tag
+// e.g. ?q=saka penalty&sport=football&tag=var
+commentarySearchRouter.get(
+  "/search",
+  optionalAuthenticate,
+  async (req, res) => {
+    // Validate query parameters using Zod schema
+    const parsed = searchCommentaryQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid query.",
+        details: parsed.error.issues,
+      });
+    }
+
+    const {
+      q,
+      sport,
+      matchId,
+      team,
+      teamId,
+      eventType,
+      tag,
+      offset = 0,
+    } = parsed.data;
+
+    // Use provided limit or default to 20, but cap at MAX_LIMIT
+    const limit = Math.min(parsed.data.limit ?? 20, MAX_LIMIT);
+
+    // The search document must match the indexed expression for the GIN index to be used
+    const document = commentarySearchDocument(commentary);
+    const query = sql`websearch_to_tsquery('english', ${q})`;
+    const rank = sql`ts_rank_cd(${document}, ${query})`;
+
+    // Build the filters from the provided query parameters
+    const conditions = [sql`${document} @@ ${query}`];
+    if (sport) conditions.push(sql`lower(${matches.sport}) = lower(${sport})`);
+    if (matchId) conditions.push(eq(commentary.matchId, matchId));
+    if (team) conditions.push(sql`lower(${commentary.team}) = lower(${team})`);
+    if (teamId) conditions.push(eq(commentary.teamId, teamId));
+    if (eventType) conditions.push(eq(commentary.eventType, eventType));
+    if (tag) conditions.push(arrayContains(commentary.tags, [tag]));
+
+    // Commentary of premium matches is only found by users entitled to read it
+    if (!canAccessMatch(req.user, { isPremium: true })) {
+      conditions.push(eq(matches.isPremium, false));
+    }
+
+    try {
+      // Most relevant first; id breaks ties so pages never overlap
+      // Fetch one extra row to know whether there is another page
+      const rows = await db
+        .select({
+          id: commentary.id,
+          matchId: commentary.matchId,
+          minute: commentary.minute,
+          period: commentary.period,
+          eventType: commentary.eventType,
+          actor: commentary.actor,
+          team: commentary.team,
+          message: commentary.message,
+          tags: commentary.tags,
+          createdAt: commentary.createdAt,
+          match: {
+            sport: matches.sport,
+            homeTeam: matches.homeTeam,
+            awayTeam: matches.awayTeam,
+            startTime: matches.startTime,
+          },
+          rank: rank.mapWith(Number),
+          // The message with the matched words highlighted
+          snippet: sql`ts_headline('english', ${commentary.message}, ${query}, ${HEADLINE_OPTIONS})`,
+        })
+        .from(commentary)
+        .innerJoin(matches, eq(commentary.matchId, matches.id))
+        .where(and(...conditions))
+        .orderBy(desc(rank), desc(commentary.id))
+        .limit(limit + 1)
+        .offset(offset);
+
+      const data = rows.slice(0, limit);
+      const meta = {
+        limit,
+        offset,
+        nextOffset: rows.length > limit ? offset + limit : null,
+      };
+
+      res.json({ data, meta });
+    } catch (err) {
+      console.error(`Failed to search commentary: ${err}`);
+      res.status(500).json({ error: "Failed to search commentary." });
+    }
+  },
+);
@@ -1,19 +1,198 @@
-import { Router } from "express";
+import { Router, text } from "express";
 import { matchIdParamSchema } from "../validation/matches.js";
 import {
+  BULK_COMMENTARY_MODE,
+  bulkCommentaryQuerySchema,
+  commentaryIdParamSchema,
   createCommentarySchema,
+  createCommentarySchemaForSport,
   listCommentaryQuerySchema,
+  updateCommentarySchema,
+  updateCommentarySchemaForSport,
 } from "../validation/commentary.js";
 import { db } from "../db/db.js";
-import { commentary } from "../db/schema.js";
-import { desc, eq } from "drizzle-orm";
+import { commentary, commentaryRevisions, matches } from "../db/schema.js";
+import {
+  and,
+  asc,
+  desc,
+  eq,
+  gt,
+  lt,
+  TransactionRollbackError,
+} from "drizzle-orm";
+import { authenticate, requireMatchAssignment } from "../middleware/auth.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { applyMatchStats, readMatchStats } from "../utils/match-stats.js";
+import { applyScoreDelta, scoreDeltaFromEntry } from "../utils/score.js";
+import {
+  checkClientSequence,
+  lockCommentarySequence,
+  saveCommentarySequence,
+} from "../utils/commentary-sequence.js";
+import { linkCommentaryEntry } from "../utils/teams.js";
 
 // Create router with mergeParams to access parent route parameters
 export const commentaryRouter = Router({ mergeParams: true });
 
+// Write access: admins and commentators assigned to the match
+const requireMatchAccess = [authenticate, requireMatchAssignment];
+
 // Maximum number of commentary entries to return
 const MAX_LIMIT = 100;
 
+// Maximum number of commentary entries in one bulk upload
+const MAX_BULK_ENTRIES = 500;
+
+// Bulk uploads are sent as NDJSON (one entry per line) or as a JSON array; NDJSON
+// bodies are read as text, with the same size limit as the app's JSON parser
+const parseNdjson = text({
+  type: ["application/x-ndjson", "application/ndjson"],
+});
+
+// Look up the match a commentary entry belongs to, e.g. to broadcast on its channels
+async function findMatch(matchId) {
+  const [match] = await db
+    .select()
+    .from(matches)
+    .where(eq(matches.id, matchId))
+    .limit(1);
+
+  return match ?? null;
+}
+
+// Push a match's current stats to its followers after its commentary changed
+async function broadcastMatchStats(res, match) {
+  if (!res.app.locals.broadcastStatsUpdate) return;
+
+  try {
+    const stats = await readMatchStats(match);
+    res.app.locals.broadcastStatsUpdate(match, stats);
+  } catch (err) {
+    console.error(`Failed to broadcast stats update: ${err}`);
+  }
+}
+
+// Push a match's new score to its followers
+// Finished matches keep their result, so their standings do not change
+function broadcastMatchScore(res, match) {
+  if (res.app.locals.broadcastScoreUpdate) {
+    res.app.locals.broadcastScoreUpdate(match);
+  }
+}
+
+/**
+ * Link a validated entry to its team and player, insert it with the given sequence
+ * number, count it towards the match stats and apply its points to the score.
+ * Must run in a transaction that holds the match's sequence lock
+ * (see src/utils/commentary-sequence.js).
+ * @param {object} tx - The transaction to run in.
+ * @param {object} match - The match the entry is for.
+ * @param {object} entry - The entry, validated for the match's sport.
+ * @param {number} sequence - The sequence number to give the entry.
+ * @param {number} authorId - The ID of the user posting the entry.
+ * @returns {Promise<object>} - { inserted, statsChanged, scoredMatch }, or
+ *   { sequenceError } or { error } with a validation issue if nothing was inserted.
+ */
+async function insertCommentaryEntry(tx, match, entry, sequence, authorId) {
+  // The server numbers each match's entries 1, 2, 3, ...; a client that sends
+  // the sequence it expects is told when another entry got there first
+  const sequenceError = checkClientSequence(entry, sequence);
+  if (sequenceError) return { sequenceError };
+
+  const linked = await linkCommentaryEntry(tx, match, entry);
+  if (linked.error) return linked;
+
+  // Scoring events (goals, runs, baskets...) update the match score
+  const { applied, scoredMatch } = await applyScoreDelta(
+    tx,
+    match.id,
+    scoreDeltaFromEntry(match, { ...entry, ...linked.links }),
+  );
+
+  // Spread validated body data and attach match ID, team and player links,
+  // author and the points it scored
+  // returning() gives the inserted row
+  const [inserted] = await tx
+    .insert(commentary)
+    .values({
+      matchId: match.id,
+      ...entry,
+      ...linked.links,
+      sequence,
+      homeScoreDelta: applied.home,
+      awayScoreDelta: applied.away,
+      authorId,
+    })
+    .returning();
+  await saveCommentarySequence(tx, match.id, sequence);
+
+  const statsChanged = await applyMatchStats(tx, match.sport, inserted, 1);
+
+  return { inserted, statsChanged, scoredMatch };
+}
+
+/**
+ * Read the entries of a bulk upload, numbered from 1 by line (NDJSON) or by
+ * position (JSON array). Blank NDJSON lines are skipped.
+ * @param {unknown} body - The request body.
+ * @returns {{ line: number, value?: unknown, issue?: object }[]|null} - The entries,
+ *   with an issue for NDJSON lines that are not valid JSON; null if the body is
+ *   neither NDJSON nor a JSON array.
+ */
+function readBulkLines(body) {
+  if (Array.isArray(body)) {
+    return body.map((value, index) => ({ line: index + 1, value }));
+  }
+  if (typeof body !== "string") return null;
+
+  const lines = [];
+  body.split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) return;
+
+    try {
+      lines.push({ line: index + 1, value: JSON.parse(raw) });
+    } catch (err) {
+      lines.push({
+        line: index + 1,
+        issue: {
+          path: [],
+          message: `Invalid JSON: ${err.message}`,
+          code: "custom",
+        },
+      });
+    }
+  });
+  return lines;
+}
+
+// Describe why a line of a bulk upload was not inserted
+function lineFailure(line, outcome) {
+  if (outcome.sequenceError) {
+    return {
+      line,
+      error: "Sequence conflict.",
+      details: [outcome.sequenceError],
+    };
+  }
+  return {
+    line,
+    error: "Invalid commentary payload.",
+    details: [outcome.error],
+  };
+}
+
+// Reject a bulk upload that inserted nothing, with the reason for each failed line
+function rejectBatch(res, failed) {
+  const conflict = failed.every(
+    (failure) => failure.error === "Sequence conflict.",
+  );
+  return res.status(conflict ? 409 : 400).json({
+    error: "Commentary batch rejected.",
+    details: failed,
+  });
+}
+
 // GET / - List commentary for a match
 commentaryRouter.get("/", async (req, res) => {
   // Validate match ID from URL parameters
@@ -35,24 +214,47 @@ commentaryRouter.get("/", async (req, res) => {
   }
 
   try {
-    // Extract match ID and limit
+    // Extract match ID, limit and cursors
     const matchId = paramsResult.data.id;
-    const { limit = MAX_LIMIT } = queryResult.data;
+    const { limit = MAX_LIMIT, before, after } = queryResult.data;
     const safeLimit = Math.min(limit, MAX_LIMIT);
 
-    // Fetch commentary from database
-    // Filter by match ID
-    // Order by createdAt descending so newest entries come first
-    // Limit the number of results
+    // Entries are ordered by id rather than createdAt: ids are unique and increase
+    // with every insert, so entries sharing a createdAt keep a stable order across pages
+    const conditions = [eq(commentary.matchId, matchId)];
+    if (before !== undefined) conditions.push(lt(commentary.id, before));
+    if (after !== undefined) conditions.push(gt(commentary.id, after));
+
+    // Paging forward reads oldest first so the page starts right after the cursor
+    // Fetch one extra row to know whether there is another page
     const rows = await db
       .select()
       .from(commentary)
-      .where(eq(commentary.matchId, matchId))
-      .orderBy(desc(commentary.createdAt))
-      .limit(safeLimit);
+      .where(and(...conditions))
+      .orderBy(after !== undefined ? asc(commentary.id) : desc(commentary.id))
+      .limit(safeLimit + 1);
+
+    const hasMore = rows.length > safeLimit;
+    const page = rows.slice(0, safeLimit);
+
+    // Always return newest entries first
+    if (after !== undefined) page.reverse();
+
+    const newest = page[0];
+    const oldest = page[page.length - 1];
+
+    // nextCursor: pass as "before" to load older entries
+    // prevCursor: pass as "after" to load newer entries
+    const hasOlder = after !== undefined ? page.length > 0 : hasMore;
+    const meta = {
+      limit: safeLimit,
+      hasMore,
+      nextCursor: hasOlder && oldest ? oldest.id : null,
+      prevCursor: newest ? newest.id : (after ?? null),
+    };
 
     // Return the fetched commentary
-    res.status(200).json({ data: rows });
+    res.status(200).json({ data: page, meta });
   } catch (err) {
     console.error(`Failed to fetch commentary: ${err}`);
     res.status(500).json({ error: "Failed to fetch commentary." });
@@ -60,7 +262,9 @@ commentaryRouter.get("/", async (req, res) => {
 });
 
 // POST / - Create a new commentary entry for a match
-commentaryRouter.post("/", async (req, res) => {
+// (admins and commentators assigned to the match)
+// Safe to retry with an Idempotency-Key header (see src/middleware/idempotency.js)
+commentaryRouter.post("/", requireMatchAccess, idempotent, async (req, res) => {
   // Validate match ID from URL parameters
   const paramsResult = matchIdParamSchema.safeParse(req.params);
   if (!paramsResult.success) {
@@ -81,29 +285,502 @@ commentaryRouter.post("/", async (req, res) => {
   try {
     const matchId = paramsResult.data.id;
 
-    // Insert the commentary entry into the database
-    // Spread validated body data and attach match ID
-    // returning() gives the inserted row
-    const [insertedMatchCommentary] = await db
-      .insert(commentary)
-      .values({
-        matchId,
-        ...bodyResult.data,
-      })
-      .returning();
-
-    // Broadcast a newly created commentary entry to all clients subscribed to the given match
+    const match = await findMatch(matchId);
+    if (!match) {
+      return res.status(404).json({ error: "Match not found." });
+    }
+
+    // Check the event type, period and metadata against the match's sport
+    const entryResult = createCommentarySchemaForSport(match.sport).safeParse(
+      req.body,
+    );
+    if (!entryResult.success) {
+      return res.status(400).json({
+        error: `Invalid commentary payload for ${match.sport}.`,
+        details: entryResult.error.issues,
+      });
+    }
+    const entry = entryResult.data;
+
+    // Number the entry and insert it with its links, stats and score atomically
+    const result = await db.transaction(async (tx) => {
+      const sequence = (await lockCommentarySequence(tx, matchId)) + 1;
+      return insertCommentaryEntry(tx, match, entry, sequence, req.user.id);
+    });
+
+    if (result.sequenceError) {
+      return res.status(409).json({
+        error: "Sequence conflict.",
+        details: [result.sequenceError],
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        error: "Invalid commentary payload.",
+        details: [result.error],
+      });
+    }
+
+    const { inserted, statsChanged, scoredMatch } = result;
+
+    // Broadcast a newly created commentary entry to all clients following the given match
     if (res.app.locals.broadcastCommentary) {
-      res.app.locals.broadcastCommentary(
-        insertedMatchCommentary.matchId,
-        insertedMatchCommentary,
-      );
+      res.app.locals.broadcastCommentary(match, inserted);
+    }
+
+    // Broadcast the new score if the entry scored
+    if (scoredMatch) broadcastMatchScore(res, scoredMatch);
+
+    if (statsChanged) {
+      await broadcastMatchStats(res, match);
     }
 
     // Return the inserted commentary
-    res.status(201).json({ data: insertedMatchCommentary });
+    res.status(201).json({ data: inserted });
   } catch (err) {
     console.error(`Failed to create commentary: ${err}`);
     res.status(500).json({ error: "Failed to create commentary." });
   }
 });
+
+// POST /bulk - Create many commentary entries for a match in one request
+// (admins and commentators assigned to the match), e.g. a provider catching up
+// after a network blip
+// The body is NDJSON (Content-Type: application/x-ndjson) or a JSON array, with
+// each entry in the same format as POST /. Entries are numbered in order.
+// ?mode=atomic (default): any invalid entry rejects the whole batch
+// ?mode=partial: valid entries are inserted, invalid ones reported in "errors"
+// Followers get one "commentary_batch" event rather than one event per entry;
+// webhooks subscribed only to "commentary" still get one delivery per entry
+// Safe to retry with an Idempotency-Key header (see src/middleware/idempotency.js)
+commentaryRouter.post(
+  "/bulk",
+  requireMatchAccess,
+  parseNdjson,
+  idempotent,
+  async (req, res) => {
+    // Validate match ID from URL parameters
+    const paramsResult = matchIdParamSchema.safeParse(req.params);
+    if (!paramsResult.success) {
+      return res.status(400).json({
+        error: "Invalid match ID",
+        details: paramsResult.error.issues,
+      });
+    }
+
+    // Validate query parameters using Zod schema
+    const queryResult = bulkCommentaryQuerySchema.safeParse(req.query);
+    if (!queryResult.success) {
+      return res.status(400).json({
+        error: "Invalid query parameters",
+        details: queryResult.error.issues,
+      });
+    }
+
+    const lines = readBulkLines(req.body);
+    if (!lines) {
+      return res.status(400).json({
+        error: "Expected NDJSON or a JSON array of commentary entries.",
+      });
+    }
+    if (lines.length === 0 || lines.length > MAX_BULK_ENTRIES) {
+      return res.status(400).json({
+        error: `A batch must contain between 1 and ${MAX_BULK_ENTRIES} commentary entries.`,
+      });
+    }
+
+    const atomic = queryResult.data.mode === BULK_COMMENTARY_MODE.ATOMIC;
+
+    try {
+      const matchId = paramsResult.data.id;
+
+      const match = await findMatch(matchId);
+      if (!match) {
+        return res.status(404).json({ error: "Match not found." });
+      }
+
+      // Check every entry against the commentary schema for the match's sport
+      const entrySchema = createCommentarySchemaForSport(match.sport);
+      const valid = [];
+      const failed = [];
+      for (const { line, value, issue } of lines) {
+        if (issue) {
+          failed.push({
+            line,
+            error: "Invalid commentary payload.",
+            details: [issue],
+          });
+          continue;
+        }
+
+        const entryResult = entrySchema.safeParse(value);
+        if (!entryResult.success) {
+          failed.push({
+            line,
+            error: `Invalid commentary payload for ${match.sport}.`,
+            details: entryResult.error.issues,
+          });
+          continue;
+        }
+        valid.push({ line, entry: entryResult.data });
+      }
+
+      if (failed.length > 0 && (atomic || valid.length === 0)) {
+        return rejectBatch(res, failed);
+      }
+
+      // Insert the entries in one transaction holding the sequence lock, so they
+      // are numbered one after the other. Each entry runs in a savepoint: in
+      // partial mode an entry that fails is undone on its own and uses up no number
+      let result = null;
+      try {
+        result = await db.transaction(async (tx) => {
+          let sequence = await lockCommentarySequence(tx, matchId);
+          const inserted = [];
+          let statsChanged = false;
+          let scoredMatch = null;
+
+          for (const { line, entry } of valid) {
+            let outcome;
+            try {
+              await tx.transaction(async (savepoint) => {
+                outcome = await insertCommentaryEntry(
+                  savepoint,
+                  match,
+                  entry,
+                  sequence + 1,
+                  req.user.id,
+                );
+                // Undo anything linking the entry created, e.g. a new player
+                if (!outcome.inserted) savepoint.rollback();
+              });
+            } catch (err) {
+              if (!(err instanceof TransactionRollbackError)) throw err;
+            }
+
+            if (!outcome.inserted) {
+              failed.push(lineFailure(line, outcome));
+              if (atomic) tx.rollback();
+              continue;
+            }
+
+            sequence += 1;
+            inserted.push(outcome.inserted);
+            statsChanged ||= outcome.statsChanged;
+            scoredMatch = outcome.scoredMatch ?? scoredMatch;
+          }
+
+          return { inserted, statsChanged, scoredMatch };
+        });
+      } catch (err) {
+        // An atomic batch was rolled back because of the failed entry
+        if (!(err instanceof TransactionRollbackError)) throw err;
+      }
+
+      failed.sort((a, b) => a.line - b.line);
+      if (!result || result.inserted.length === 0) {
+        return rejectBatch(res, failed);
+      }
+
+      const { inserted, statsChanged, scoredMatch } = result;
+
+      // Broadcast the new entries to all clients following the given match
+      if (res.app.locals.broadcastCommentaryBatch) {
+        res.app.locals.broadcastCommentaryBatch(match, inserted);
+      }
+
+      // Broadcast the final score once if any entry scored
+      if (scoredMatch) broadcastMatchScore(res, scoredMatch);
+
+      if (statsChanged) {
+        await broadcastMatchStats(res, match);
+      }
+
+      // Return the inserted commentary, and why any other entries were not inserted
+      res.status(201).json({
+        data: inserted,
+        errors: failed,
+        meta: {
+          received: lines.length,
+          inserted: inserted.length,
+          failed: failed.length,
+        },
+      });
+    } catch (err) {
+      console.error(`Failed to create commentary batch: ${err}`);
+      res.status(500).json({ error: "Failed to create commentary batch." });
+    }
+  },
+);
+
+// PATCH /:commentaryId - Correct a commentary entry, keeping the previous version in its history
+// (admins and commentators assigned to the match)
+commentaryRouter.patch(
+  "/:commentaryId",
+  requireMatchAccess,
+  async (req, res) => {
+    // Validate match ID and commentary ID from URL parameters
+    const paramsResult = commentaryIdParamSchema.safeParse(req.params);
+    if (!paramsResult.success) {
+      return res.status(400).json({
+        error: "Invalid commentary ID",
+        details: paramsResult.error.issues,
+      });
+    }
+
+    // Validate request body against the update schema
+    const bodyResult = updateCommentarySchema.safeParse(req.body);
+    if (!bodyResult.success) {
+      return res.status(400).json({
+        error: "Invalid commentary payload.",
+        details: bodyResult.error.issues,
+      });
+    }
+
+    const { id: matchId, commentaryId } = paramsResult.data;
+
+    try {
+      const match = await findMatch(matchId);
+      if (!match) {
+        return res.status(404).json({ error: "Commentary not found." });
+      }
+
+      // Check the corrected fields against the match's sport
+      const changesResult = updateCommentarySchemaForSport(
+        match.sport,
+      ).safeParse(req.body);
+      if (!changesResult.success) {
+        return res.status(400).json({
+          error: `Invalid commentary payload for ${match.sport}.`,
+          details: changesResult.error.issues,
+        });
+      }
+      const changes = changesResult.data;
+
+      // Record the previous version, apply the change, recount the match
+      // stats and correct the score atomically
+      let statsChanged = false;
+      let scoredMatch = null;
+      let linkError = null;
+      const updatedCommentary = await db.transaction(async (tx) => {
+        const [existing] = await tx
+          .select()
+          .from(commentary)
+          .where(
+            and(
+              eq(commentary.id, commentaryId),
+              eq(commentary.matchId, matchId),
+            ),
+          )
+          .for("update");
+
+        if (!existing) return null;
+
+        // Re-link the team and player if the correction names different ones
+        let links = {};
+        const teamChanged =
+          changes.team !== undefined || changes.teamId !== undefined;
+        const playerChanged =
+          changes.actor !== undefined || changes.playerId !== undefined;
+        if (teamChanged || playerChanged) {
+          const linked = await linkCommentaryEntry(tx, match, {
+            team: teamChanged ? changes.team : existing.team,
+            teamId: teamChanged ? changes.teamId : existing.teamId,
+            actor: playerChanged ? changes.actor : existing.actor,
+            // The previously linked player plays for the previous team
+            playerId: playerChanged
+              ? changes.playerId
+              : teamChanged
+                ? undefined
+                : existing.playerId,
+          });
+          if (linked.error) {
+            linkError = linked.error;
+            return null;
+          }
+          links = linked.links;
+        }
+
+        await tx.insert(commentaryRevisions).values({
+          commentaryId,
+          matchId,
+          action: "updated",
+          previous: existing,
+        });
+
+        // The corrected entry may score differently, e.g. a goal changed to a shot
+        const scoreDelta = scoreDeltaFromEntry(match, {
+          ...existing,
+          ...changes,
+          ...links,
+        });
+
+        // Take back what the previous version scored and apply what the corrected one scores
+        const scored = await applyScoreDelta(tx, matchId, {
+          home: scoreDelta.home - existing.homeScoreDelta,
+          away: scoreDelta.away - existing.awayScoreDelta,
+        });
+        scoredMatch = scored.scoredMatch;
+
+        const [updated] = await tx
+          .update(commentary)
+          .set({
+            ...changes,
+            ...links,
+            homeScoreDelta: existing.homeScoreDelta + scored.applied.home,
+            awayScoreDelta: existing.awayScoreDelta + scored.applied.away,
+            updatedAt: new Date(),
+          })
+          .where(eq(commentary.id, commentaryId))
+          .returning();
+
+        // Swap the previous version's contribution for the corrected one's
+        const removed = await applyMatchStats(tx, match.sport, existing, -1);
+        const added = await applyMatchStats(tx, match.sport, updated, 1);
+        statsChanged = removed || added;
+
+        return updated;
+      });
+
+      if (linkError) {
+        return res.status(400).json({
+          error: "Invalid commentary payload.",
+          details: [linkError],
+        });
+      }
+
+      if (!updatedCommentary) {
+        return res.status(404).json({ error: "Commentary not found." });
+      }
+
+      // Let subscribed clients replace the entry in their timelines
+      if (res.app.locals.broadcastCommentaryUpdated) {
+        res.app.locals.broadcastCommentaryUpdated(match, updatedCommentary);
+      }
+
+      if (scoredMatch) broadcastMatchScore(res, scoredMatch);
+
+      if (statsChanged) {
+        await broadcastMatchStats(res, match);
+      }
+
+      res.status(200).json({ data: updatedCommentary });
+    } catch (err) {
+      console.error(`Failed to update commentary: ${err}`);
+      res.status(500).json({ error: "Failed to update commentary." });
+    }
+  },
+);
+
+// DELETE /:commentaryId - Retract a commentary entry, keeping it in its history
+// (admins and commentators assigned to the match)
+commentaryRouter.delete(
+  "/:commentaryId",
+  requireMatchAccess,
+  async (req, res) => {
+    // Validate match ID and commentary ID from URL parameters
+    const paramsResult = commentaryIdParamSchema.safeParse(req.params);
+    if (!paramsResult.success) {
+      return res.status(400).json({
+        error: "Invalid commentary ID",
+        details: paramsResult.error.issues,
+      });
+    }
+
+    const { id: matchId, commentaryId } = paramsResult.data;
+
+    try {
+      const match = await findMatch(matchId);
+      if (!match) {
+        return res.status(404).json({ error: "Commentary not found." });
+      }
+
+      // Record the retracted version, delete it and take it out of the
+      // match stats and score atomically
+      let statsChanged = false;
+      let scoredMatch = null;
+      const deletedCommentary = await db.transaction(async (tx) => {
+        const [deleted] = await tx
+          .delete(commentary)
+          .where(
+            and(
+              eq(commentary.id, commentaryId),
+              eq(commentary.matchId, matchId),
+            ),
+          )
+          .returning();
+
+        if (!deleted) return null;
+
+        await tx.insert(commentaryRevisions).values({
+          commentaryId,
+          matchId,
+          action: "deleted",
+          previous: deleted,
+        });
+
+        statsChanged = await applyMatchStats(tx, match.sport, deleted, -1);
+        ({ scoredMatch } = await applyScoreDelta(tx, matchId, {
+          home: -deleted.homeScoreDelta,
+          away: -deleted.awayScoreDelta,
+        }));
+
+        return deleted;
+      });
+
+      if (!deletedCommentary) {
+        return res.status(404).json({ error: "Commentary not found." });
+      }
+
+      // Let subscribed clients remove the entry from their timelines
+      if (res.app.locals.broadcastCommentaryDeleted) {
+        res.app.locals.broadcastCommentaryDeleted(match, deletedCommentary);
+      }
+
+      if (scoredMatch) broadcastMatchScore(res, scoredMatch);
+
+      if (statsChanged) {
+        await broadcastMatchStats(res, match);
+      }
+
+      res.status(200).json({ data: deletedCommentary });
+    } catch (err) {
+      console.error(`Failed to delete commentary: ${err}`);
+      res.status(500).json({ error: "Failed to delete commentary." });
+    }
+  },
+);
+
+// GET /:commentaryId/history - List previous versions of a commentary entry
+commentaryRouter.get("/:commentaryId/history", async (req, res) => {
+  // Validate match ID and commentary ID from URL parameters
+  const paramsResult = commentaryIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid commentary ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  const { id: matchId, commentaryId } = paramsResult.data;
+
+  try {
+    // Oldest revision first, so the history reads in the order changes were made
+    const rows = await db
+      .select()
+      .from(commentaryRevisions)
+      .where(
+        and(
+          eq(commentaryRevisions.commentaryId, commentaryId),
+          eq(commentaryRevisions.matchId, matchId),
+        ),
+      )
+      .orderBy(asc(commentaryRevisions.id));
+
+    res.status(200).json({ data: rows });
+  } catch (err) {
+    console.error(`Failed to fetch commentary history: ${err}`);
+    res.status(500).json({ error: "Failed to fetch commentary history." });
+  }
+});
@@ -0,0 +1,224 @@
+import { Router } from "express";
+import { and, asc, desc, eq, sql } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { competitions, seasons } from "../db/schema.js";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { USER_ROLES } from "../validation/users.js";
+import {
+  competitionIdParamSchema,
+  createCompetitionSchema,
+  createSeasonSchema,
+  listCompetitionsQuerySchema,
+  standingsQuerySchema,
+} from "../validation/competitions.js";
+import { computeStandings } from "../utils/standings.js";
+
+// Create a new Express router instance for competition, season and standings routes
+export const competitionRouter = Router();
+
+// Write access: admins only
+const requireAdmin = [authenticate, requireRole(USER_ROLES.ADMIN)];
+
+// Look up a competition by ID
+async function findCompetition(competitionId) {
+  const [competition] = await db
+    .select()
+    .from(competitions)
+    .where(eq(competitions.id, competitionId))
+    .limit(1);
+
+  return competition ?? null;
+}
+
+// GET /competitions - List competitions, optionally filtered by sport
+competitionRouter.get("/", async (req, res) => {
+  // Validate query parameters using Zod schema
+  const parsed = listCompetitionsQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid query.",
+      details: parsed.error.issues,
+    });
+  }
+
+  const { sport } = parsed.data;
+
+  try {
+    const data = await db
+      .select()
+      .from(competitions)
+      .where(sport ? eq(competitions.sport, sport.toLowerCase()) : undefined)
+      .orderBy(asc(competitions.name), asc(competitions.id));
+
+    res.json({ data });
+  } catch (err) {
+    console.error(`Failed to list competitions: ${err}`);
+    res.status(500).json({ error: "Failed to list competitions." });
+  }
+});
+
+// POST /competitions - Create a competition (admins only)
+competitionRouter.post("/", requireAdmin, async (req, res) => {
+  // Validate request body using Zod schema
+  const parsed = createCompetitionSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: parsed.error.issues,
+    });
+  }
+
+  try {
+    // Names are unique per sport, regardless of case
+    const [competition] = await db
+      .insert(competitions)
+      .values(parsed.data)
+      .onConflictDoNothing()
+      .returning();
+
+    if (!competition) {
+      return res.status(409).json({ error: "Competition already exists." });
+    }
+
+    res.status(201).json({ data: competition });
+  } catch (err) {
+    console.error(`Failed to create competition: ${err}`);
+    res.status(500).json({ error: "Failed to create competition." });
+  }
+});
+
+// GET /competitions/:id - Get a competition with its seasons
+competitionRouter.get("/:id", async (req, res) => {
+  // Validate competition ID from URL parameters
+  const paramsResult = competitionIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid competition ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  try {
+    const competition = await findCompetition(paramsResult.data.id);
+    if (!competition) {
+      return res.status(404).json({ error: "Competition not found." });
+    }
+
+    const competitionSeasons = await db
+      .select()
+      .from(seasons)
+      .where(eq(seasons.competitionId, competition.id))
+      .orderBy(asc(seasons.id));
+
+    res.json({ data: { ...competition, seasons: competitionSeasons } });
+  } catch (err) {
+    console.error(`Failed to get competition: ${err}`);
+    res.status(500).json({ error: "Failed to get competition." });
+  }
+});
+
+// POST /competitions/:id/seasons - Add a season to a competition (admins only)
+competitionRouter.post("/:id/seasons", requireAdmin, async (req, res) => {
+  // Validate competition ID from URL parameters
+  const paramsResult = competitionIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid competition ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  // Validate request body using Zod schema
+  const bodyResult = createSeasonSchema.safeParse(req.body);
+  if (!bodyResult.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: bodyResult.error.issues,
+    });
+  }
+
+  const { name, startDate, endDate } = bodyResult.data;
+
+  try {
+    const competition = await findCompetition(paramsResult.data.id);
+    if (!competition) {
+      return res.status(404).json({ error: "Competition not found." });
+    }
+
+    // Names are unique per competition, regardless of case
+    const [season] = await db
+      .insert(seasons)
+      .values({
+        competitionId: competition.id,
+        name,
+        startDate: startDate ? new Date(startDate) : null,
+        endDate: endDate ? new Date(endDate) : null,
+      })
+      .onConflictDoNothing()
+      .returning();
+
+    if (!season) {
+      return res.status(409).json({ error: "Season already exists." });
+    }
+
+    res.status(201).json({ data: season });
+  } catch (err) {
+    console.error(`Failed to create season: ${err}`);
+    res.status(500).json({ error: "Failed to create season." });
+  }
+});
+
+// GET /competitions/:id/standings - League table of a season, computed from its finished matches
+// Uses ?seasonId= if given, otherwise the season that started last
+competitionRouter.get("/:id/standings", async (req, res) => {
+  // Validate competition ID from URL parameters
+  const paramsResult = competitionIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid competition ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  // Validate query parameters using Zod schema
+  const queryResult = standingsQuerySchema.safeParse(req.query);
+  if (!queryResult.success) {
+    return res.status(400).json({
+      error: "Invalid query.",
+      details: queryResult.error.issues,
+    });
+  }
+
+  const { seasonId } = queryResult.data;
+
+  try {
+    const competition = await findCompetition(paramsResult.data.id);
+    if (!competition) {
+      return res.status(404).json({ error: "Competition not found." });
+    }
+
+    // Seasons without a start date count as older than those with one
+    const [season] = await db
+      .select()
+      .from(seasons)
+      .where(
+        and(
+          eq(seasons.competitionId, competition.id),
+          seasonId ? eq(seasons.id, seasonId) : undefined,
+        ),
+      )
+      .orderBy(sql`${seasons.startDate} desc nulls last`, desc(seasons.id))
+      .limit(1);
+
+    if (!season) {
+      return res.status(404).json({ error: "Season not found." });
+    }
+
+    const standings = await computeStandings(competition, season);
+
+    res.json({ data: standings });
+  } catch (err) {
+    console.error(`Failed to get standings: ${err}`);
+    res.status(500).json({ error: "Failed to get standings." });
+  }
+});
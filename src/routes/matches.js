@@ -2,11 +2,29 @@ import { Router } from "express";
 import {
   createMatchSchema,
   listMatchesQuerySchema,
+  matchIdParamSchema,
+  updateMatchSchema,
+  updateScoreSchema,
+  MATCH_STATUS,
 } from "../validation/matches.js";
-import { matches } from "../db/schema.js";
+import { matchCommentators, matches, users } from "../db/schema.js";
 import { db } from "../db/db.js";
-import { getMatchStatus } from "../utils/match-status.js";
-import { desc } from "drizzle-orm";
+import {
+  authenticate,
+  requireMatchAssignment,
+  requireRole,
+} from "../middleware/auth.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { userIdParamSchema, USER_ROLES } from "../validation/users.js";
+import {
+  getMatchStatus,
+  transitionMatchStatus,
+} from "../utils/match-status.js";
+import { readMatchStats } from "../utils/match-stats.js";
+import { resolveMatchTeams } from "../utils/teams.js";
+import { checkMatchSeason } from "../utils/standings.js";
+import { escapeLike } from "../utils/like.js";
+import { and, asc, desc, eq, gte, ilike, lte, ne, or } from "drizzle-orm";
 
 // Create a new Express router instance for match-related routes
 export const matchRouter = Router();
@@ -14,6 +32,18 @@ export const matchRouter = Router();
 // Define the maximum number of matches that can be returned in a single request
 const MAX_LIMIT = 100;
 
+// Write access: admins only, or admins and commentators assigned to the match
+const requireAdmin = [authenticate, requireRole(USER_ROLES.ADMIN)];
+const requireMatchAccess = [authenticate, requireMatchAssignment];
+
+// Recompute the standings of the season a finished match counts towards
+function refreshStandings(res, match) {
+  if (match.status !== MATCH_STATUS.FINISHED) return;
+  if (typeof res.app.locals.refreshStandings === "function") {
+    res.app.locals.refreshStandings(match);
+  }
+}
+
 // GET /matches - List matches with optional query parameters for filtering/pagination
 matchRouter.get("/", async (req, res) => {
   // Validate query parameters using Zod schema
@@ -27,19 +57,59 @@ matchRouter.get("/", async (req, res) => {
     });
   }
 
+  const {
+    sport,
+    status,
+    team,
+    seasonId,
+    from,
+    to,
+    sort,
+    order,
+    offset = 0,
+  } = parsed.data;
+
   // Use provided limit or default to 50, but cap at MAX_LIMIT
   const limit = Math.min(parsed.data.limit ?? 50, MAX_LIMIT);
 
+  // Build the filters from the provided query parameters
+  const conditions = [];
+  if (sport) conditions.push(ilike(matches.sport, escapeLike(sport)));
+  if (status) conditions.push(eq(matches.status, status));
+  if (team) {
+    const pattern = `%${escapeLike(team)}%`;
+    conditions.push(
+      or(ilike(matches.homeTeam, pattern), ilike(matches.awayTeam, pattern)),
+    );
+  }
+  if (seasonId) conditions.push(eq(matches.seasonId, seasonId));
+  if (from) conditions.push(gte(matches.startTime, new Date(from)));
+  if (to) conditions.push(lte(matches.startTime, new Date(to)));
+
+  // Newest first by default; id breaks ties so pages never overlap
+  const direction = order === "asc" ? asc : desc;
+  const sortColumn =
+    sort === "startTime" ? matches.startTime : matches.createdAt;
+
   try {
-    // Fetch matches from the database, ordered by creation date descending
-    const data = await db
+    // Fetch one extra row to know whether there is another page
+    const rows = await db
       .select()
       .from(matches)
-      .orderBy(desc(matches.createdAt))
-      .limit(limit);
+      .where(and(...conditions))
+      .orderBy(direction(sortColumn), direction(matches.id))
+      .limit(limit + 1)
+      .offset(offset);
+
+    const data = rows.slice(0, limit);
+    const meta = {
+      limit,
+      offset,
+      nextOffset: rows.length > limit ? offset + limit : null,
+    };
 
     // Return matches as JSON
-    res.json({ data });
+    res.json({ data, meta });
   } catch (err) {
     // Return 500 if database query fails
     res
@@ -48,8 +118,9 @@ matchRouter.get("/", async (req, res) => {
   }
 });
 
-// POST /matches - Create a new match
-matchRouter.post("/", async (req, res) => {
+// POST /matches - Create a new match (admins only)
+// Safe to retry with an Idempotency-Key header (see src/middleware/idempotency.js)
+matchRouter.post("/", requireAdmin, idempotent, async (req, res) => {
   // Validate request body using Zod schema
   const parsed = createMatchSchema.safeParse(req.body);
 
@@ -62,23 +133,50 @@ matchRouter.post("/", async (req, res) => {
   }
 
   const {
-    data: { startTime, endTime, homeScore, awayScore },
+    data: { sport, startTime, endTime, homeScore, awayScore, seasonId },
   } = parsed;
 
   try {
-    // Insert new match into the database with default scores if not provided
-    // Also compute the match status using the utility function
-    const [insertedMatch] = await db
-      .insert(matches)
-      .values({
-        ...parsed.data,
-        startTime: new Date(startTime),
-        endTime: new Date(endTime),
-        homeScore: homeScore ?? 0,
-        awayScore: awayScore ?? 0,
-        status: getMatchStatus(startTime, endTime),
-      })
-      .returning();
+    const result = await db.transaction(async (tx) => {
+      // Look up both teams by ID or name, creating teams only known by name
+      const resolved = await resolveMatchTeams(tx, sport, parsed.data);
+      if (resolved.error) return resolved;
+
+      // The season must belong to a competition of the match's sport
+      if (seasonId) {
+        const seasonError = await checkMatchSeason(tx, seasonId, sport);
+        if (seasonError) return { error: seasonError };
+      }
+
+      // Insert new match into the database with default scores if not provided
+      // Also compute the match status using the utility function
+      const [inserted] = await tx
+        .insert(matches)
+        .values({
+          ...parsed.data,
+          homeTeam: resolved.homeTeam.name,
+          awayTeam: resolved.awayTeam.name,
+          homeTeamId: resolved.homeTeam.id,
+          awayTeamId: resolved.awayTeam.id,
+          startTime: new Date(startTime),
+          endTime: new Date(endTime),
+          homeScore: homeScore ?? 0,
+          awayScore: awayScore ?? 0,
+          status: getMatchStatus(startTime, endTime),
+        })
+        .returning();
+
+      return { match: inserted };
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        error: "Invalid payload.",
+        details: [result.error],
+      });
+    }
+
+    const insertedMatch = result.match;
 
     // Broadcast to all client new match has just created
     try {
@@ -88,6 +186,10 @@ matchRouter.post("/", async (req, res) => {
     } catch (err) {
       console.warn("Failed to broadcast match_created:", err);
     }
+
+    // A match recorded after it was played counts towards its season straight away
+    refreshStandings(res, insertedMatch);
+
     // Return the newly created match with 201 status
     res.status(201).json({ data: insertedMatch });
   } catch (err) {
@@ -97,3 +199,451 @@ matchRouter.post("/", async (req, res) => {
       .json({ error: "Failed to create match.", details: JSON.stringify(err) });
   }
 });
+
+// GET /matches/:id - Get a single match
+matchRouter.get("/:id", async (req, res) => {
+  // Validate match ID from URL parameters
+  const paramsResult = matchIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid match ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  try {
+    const [match] = await db
+      .select()
+      .from(matches)
+      .where(eq(matches.id, paramsResult.data.id))
+      .limit(1);
+
+    if (!match) {
+      return res.status(404).json({ error: "Match not found." });
+    }
+
+    res.json({ data: match });
+  } catch (err) {
+    // Return 500 if database query fails
+    res
+      .status(500)
+      .json({ error: "Failed to get match.", details: JSON.stringify(err) });
+  }
+});
+
+// GET /matches/:id/stats - Per-team and per-player stats derived from the match's commentary
+matchRouter.get("/:id/stats", async (req, res) => {
+  // Validate match ID from URL parameters
+  const paramsResult = matchIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid match ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  try {
+    const [match] = await db
+      .select()
+      .from(matches)
+      .where(eq(matches.id, paramsResult.data.id))
+      .limit(1);
+
+    if (!match) {
+      return res.status(404).json({ error: "Match not found." });
+    }
+
+    const stats = await readMatchStats(match);
+
+    res.json({ data: stats });
+  } catch (err) {
+    // Return 500 if database query fails
+    res.status(500).json({
+      error: "Failed to get match stats.",
+      details: JSON.stringify(err),
+    });
+  }
+});
+
+// PATCH /matches/:id - Edit teams or reschedule a match (admins only)
+matchRouter.patch("/:id", requireAdmin, async (req, res) => {
+  // Validate match ID from URL parameters
+  const paramsResult = matchIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid match ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  // Validate request body using Zod schema
+  const bodyResult = updateMatchSchema.safeParse(req.body);
+  if (!bodyResult.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: bodyResult.error.issues,
+    });
+  }
+
+  const matchId = paramsResult.data.id;
+  const changes = bodyResult.data;
+
+  try {
+    const [match] = await db
+      .select()
+      .from(matches)
+      .where(eq(matches.id, matchId))
+      .limit(1);
+
+    if (!match) {
+      return res.status(404).json({ error: "Match not found." });
+    }
+
+    // Combine the new times with the stored ones, since only one may be provided
+    const startTime = changes.startTime
+      ? new Date(changes.startTime)
+      : match.startTime;
+    const endTime = changes.endTime ? new Date(changes.endTime) : match.endTime;
+
+    if (startTime && endTime && endTime <= startTime) {
+      return res.status(400).json({
+        error: "Invalid payload.",
+        details: [
+          {
+            path: ["endTime"],
+            message: "endTime must be after startTime",
+            code: "custom",
+          },
+        ],
+      });
+    }
+
+    // Rescheduling can move a match between scheduled, live and finished
+    const status = getMatchStatus(startTime, endTime) ?? match.status;
+
+    const result = await db.transaction(async (tx) => {
+      // Re-resolve the teams if either of them or the sport changes
+      // A side that is not being changed keeps its team
+      let teamChanges = {};
+      const teamFields = [
+        "sport",
+        "homeTeam",
+        "awayTeam",
+        "homeTeamId",
+        "awayTeamId",
+      ];
+      if (teamFields.some((field) => changes[field] !== undefined)) {
+        const keepTeam = (side) =>
+          changes[`${side}Team`] === undefined &&
+          changes[`${side}TeamId`] === undefined;
+
+        const resolved = await resolveMatchTeams(
+          tx,
+          changes.sport ?? match.sport,
+          {
+            homeTeam: changes.homeTeam ?? match.homeTeam,
+            awayTeam: changes.awayTeam ?? match.awayTeam,
+            homeTeamId:
+              changes.homeTeamId ??
+              (keepTeam("home") ? (match.homeTeamId ?? undefined) : undefined),
+            awayTeamId:
+              changes.awayTeamId ??
+              (keepTeam("away") ? (match.awayTeamId ?? undefined) : undefined),
+          },
+        );
+        if (resolved.error) return resolved;
+
+        teamChanges = {
+          homeTeam: resolved.homeTeam.name,
+          awayTeam: resolved.awayTeam.name,
+          homeTeamId: resolved.homeTeam.id,
+          awayTeamId: resolved.awayTeam.id,
+        };
+      }
+
+      // Check the season when the match moves to another one or changes sport
+      const seasonId =
+        changes.seasonId !== undefined ? changes.seasonId : match.seasonId;
+      if (seasonId && (changes.seasonId || changes.sport)) {
+        const seasonError = await checkMatchSeason(
+          tx,
+          seasonId,
+          changes.sport ?? match.sport,
+        );
+        if (seasonError) return { error: seasonError };
+      }
+
+      const [updated] = await tx
+        .update(matches)
+        .set({ ...changes, ...teamChanges, startTime, endTime, status })
+        .where(eq(matches.id, matchId))
+        .returning();
+
+      return { match: updated };
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        error: "Invalid payload.",
+        details: [result.error],
+      });
+    }
+
+    const updatedMatch = result.match;
+
+    // Broadcast to all clients that the match has changed
+    try {
+      if (typeof res.app.locals.broadcastMatchUpdated === "function") {
+        res.app.locals.broadcastMatchUpdated(updatedMatch);
+      }
+    } catch (err) {
+      console.warn("Failed to broadcast match_updated:", err);
+    }
+
+    // A reschedule that moved the match between scheduled, live and finished is
+    // announced like any other transition, which also updates the standings of a
+    // match that just finished; followers of its previous status hear it left
+    if (updatedMatch.status !== match.status) {
+      if (res.app.locals.announceMatchStatusChange) {
+        res.app.locals.announceMatchStatusChange(updatedMatch, match.status);
+      }
+    } else {
+      refreshStandings(res, updatedMatch);
+    }
+
+    // A result that moved to another season, or is no longer final, also changes
+    // the standings of the season it counted towards before
+    if (
+      match.seasonId !== updatedMatch.seasonId ||
+      updatedMatch.status !== MATCH_STATUS.FINISHED
+    ) {
+      refreshStandings(res, match);
+    }
+
+    res.json({ data: updatedMatch });
+  } catch (err) {
+    // Return 500 if the update fails
+    res
+      .status(500)
+      .json({ error: "Failed to update match.", details: JSON.stringify(err) });
+  }
+});
+
+// DELETE /matches/:id - Delete a match and its commentary (admins only)
+matchRouter.delete("/:id", requireAdmin, async (req, res) => {
+  // Validate match ID from URL parameters
+  const paramsResult = matchIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid match ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  try {
+    // Commentary rows are removed with the match by the ON DELETE CASCADE foreign key
+    const [deletedMatch] = await db
+      .delete(matches)
+      .where(eq(matches.id, paramsResult.data.id))
+      .returning();
+
+    if (!deletedMatch) {
+      return res.status(404).json({ error: "Match not found." });
+    }
+
+    // Broadcast to all clients that the match is gone
+    try {
+      if (typeof res.app.locals.broadcastMatchDeleted === "function") {
+        res.app.locals.broadcastMatchDeleted(deletedMatch);
+      }
+    } catch (err) {
+      console.warn("Failed to broadcast match_deleted:", err);
+    }
+
+    // Its result no longer counts towards its season
+    refreshStandings(res, deletedMatch);
+
+    res.json({ data: deletedMatch });
+  } catch (err) {
+    // Return 500 if the deletion fails
+    res
+      .status(500)
+      .json({ error: "Failed to delete match.", details: JSON.stringify(err) });
+  }
+});
+
+// PATCH /matches/:id/score - Update the score of a match
+// (admins and commentators assigned to the match)
+matchRouter.patch("/:id/score", requireMatchAccess, async (req, res) => {
+  // Validate match ID from URL parameters
+  const paramsResult = matchIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid match ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  // Validate request body using Zod schema
+  const bodyResult = updateScoreSchema.safeParse(req.body);
+  if (!bodyResult.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: bodyResult.error.issues,
+    });
+  }
+
+  const matchId = paramsResult.data.id;
+  const { homeScore, awayScore } = bodyResult.data;
+
+  try {
+    const [match] = await db
+      .select()
+      .from(matches)
+      .where(eq(matches.id, matchId))
+      .limit(1);
+
+    if (!match) {
+      return res.status(404).json({ error: "Match not found." });
+    }
+
+    // Bring the stored status up to date before deciding whether scoring is allowed,
+    // announcing the transition as the scheduler would (e.g. standings when it finished)
+    const previousStatus = await transitionMatchStatus(match);
+    if (previousStatus && res.app.locals.announceMatchStatusChange) {
+      res.app.locals.announceMatchStatusChange(match, previousStatus);
+    }
+
+    // Finished matches have a final score that must not change; checked in the
+    // update itself, so a match the scheduler finishes meanwhile keeps its score
+    const [updatedMatch] = await db
+      .update(matches)
+      .set({ homeScore, awayScore })
+      .where(
+        and(eq(matches.id, matchId), ne(matches.status, MATCH_STATUS.FINISHED)),
+      )
+      .returning();
+
+    if (!updatedMatch) {
+      return res
+        .status(409)
+        .json({ error: "Cannot update the score of a finished match." });
+    }
+
+    // Push the new score to all clients subscribed to this match
+    try {
+      if (typeof res.app.locals.broadcastScoreUpdate === "function") {
+        res.app.locals.broadcastScoreUpdate(updatedMatch);
+      }
+    } catch (err) {
+      console.warn("Failed to broadcast score_update:", err);
+    }
+
+    res.json({ data: updatedMatch });
+  } catch (err) {
+    // Return 500 if the update fails
+    res
+      .status(500)
+      .json({ error: "Failed to update score.", details: JSON.stringify(err) });
+  }
+});
+
+// PUT /matches/:id/commentators/:userId - Assign a commentator to a match (admins only)
+matchRouter.put("/:id/commentators/:userId", requireAdmin, async (req, res) => {
+  // Validate match ID and user ID from URL parameters
+  const matchParams = matchIdParamSchema.safeParse(req.params);
+  const userParams = userIdParamSchema.safeParse(req.params);
+  if (!matchParams.success || !userParams.success) {
+    return res.status(400).json({
+      error: "Invalid match or user ID",
+      details: [
+        ...(matchParams.error?.issues ?? []),
+        ...(userParams.error?.issues ?? []),
+      ],
+    });
+  }
+
+  const matchId = matchParams.data.id;
+  const { userId } = userParams.data;
+
+  try {
+    const [match] = await db
+      .select({ id: matches.id })
+      .from(matches)
+      .where(eq(matches.id, matchId))
+      .limit(1);
+
+    if (!match) {
+      return res.status(404).json({ error: "Match not found." });
+    }
+
+    const [user] = await db
+      .select({ role: users.role })
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+
+    if (user.role !== USER_ROLES.COMMENTATOR) {
+      return res
+        .status(400)
+        .json({ error: "Only commentators can be assigned to matches." });
+    }
+
+    // Assigning twice is a no-op
+    await db
+      .insert(matchCommentators)
+      .values({ matchId, userId })
+      .onConflictDoNothing();
+
+    res.status(204).end();
+  } catch (err) {
+    // Return 500 if the assignment fails
+    res.status(500).json({
+      error: "Failed to assign commentator.",
+      details: JSON.stringify(err),
+    });
+  }
+});
+
+// DELETE /matches/:id/commentators/:userId - Unassign a commentator from a match (admins only)
+matchRouter.delete(
+  "/:id/commentators/:userId",
+  requireAdmin,
+  async (req, res) => {
+    // Validate match ID and user ID from URL parameters
+    const matchParams = matchIdParamSchema.safeParse(req.params);
+    const userParams = userIdParamSchema.safeParse(req.params);
+    if (!matchParams.success || !userParams.success) {
+      return res.status(400).json({
+        error: "Invalid match or user ID",
+        details: [
+          ...(matchParams.error?.issues ?? []),
+          ...(userParams.error?.issues ?? []),
+        ],
+      });
+    }
+
+    try {
+      await db
+        .delete(matchCommentators)
+        .where(
+          and(
+            eq(matchCommentators.matchId, matchParams.data.id),
+            eq(matchCommentators.userId, userParams.data.userId),
+          ),
+        );
+
+      res.status(204).end();
+    } catch (err) {
+      // Return 500 if the unassignment fails
+      res.status(500).json({
+        error: "Failed to unassign commentator.",
+        details: JSON.stringify(err),
+      });
+    }
+  },
+);
@@ -0,0 +1,20 @@
+import { Router } from "express";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { USER_ROLES } from "../validation/users.js";
+
+// Create a new Express router instance for operational metrics
+export const metricsRouter = Router();
+
+// Metrics are admin-only
+metricsRouter.use(authenticate, requireRole(USER_ROLES.ADMIN));
+
+// GET /metrics - Live delivery counters, e.g. how often WebSocket clients fall behind
+metricsRouter.get("/", (req, res) => {
+  const getWebSocketMetrics = res.app.locals.getWebSocketMetrics;
+
+  res.json({
+    data: {
+      websocket: getWebSocketMetrics ? getWebSocketMetrics() : null,
+    },
+  });
+});
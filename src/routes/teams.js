@@ -0,0 +1,311 @@
+import { Router } from "express";
+import { and, asc, eq, inArray, or, sql } from "drizzle-orm";
+import { db } from "../db/db.js";
+import {
+  commentary,
+  matches,
+  matchStats,
+  players,
+  teams,
+} from "../db/schema.js";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { USER_ROLES } from "../validation/users.js";
+import {
+  createPlayerSchema,
+  createTeamSchema,
+  listTeamsQuerySchema,
+  teamIdParamSchema,
+  updateTeamSchema,
+} from "../validation/teams.js";
+import { escapeLike } from "../utils/like.js";
+
+// Create a new Express router instance for team and player routes
+export const teamRouter = Router();
+
+// Define the maximum number of teams that can be returned in a single request
+const MAX_LIMIT = 100;
+
+// Write access: admins only
+const requireAdmin = [authenticate, requireRole(USER_ROLES.ADMIN)];
+
+// Look up a team by ID
+async function findTeam(teamId) {
+  const [team] = await db
+    .select()
+    .from(teams)
+    .where(eq(teams.id, teamId))
+    .limit(1);
+
+  return team ?? null;
+}
+
+// GET /teams - List teams, optionally filtered by sport or name
+teamRouter.get("/", async (req, res) => {
+  // Validate query parameters using Zod schema
+  const parsed = listTeamsQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid query.",
+      details: parsed.error.issues,
+    });
+  }
+
+  const { sport, search, offset = 0 } = parsed.data;
+  const limit = Math.min(parsed.data.limit ?? 50, MAX_LIMIT);
+
+  // Build the filters from the provided query parameters
+  const conditions = [];
+  if (sport) conditions.push(eq(teams.sport, sport.toLowerCase()));
+  if (search) {
+    const pattern = `%${escapeLike(search.toLowerCase())}%`;
+    conditions.push(
+      or(
+        sql`lower(${teams.name}) like ${pattern}`,
+        sql`exists (select 1 from unnest(${teams.aliases}) as alias where lower(alias) like ${pattern})`,
+      ),
+    );
+  }
+
+  try {
+    // Fetch one extra row to know whether there is another page
+    const rows = await db
+      .select()
+      .from(teams)
+      .where(and(...conditions))
+      .orderBy(asc(teams.name), asc(teams.id))
+      .limit(limit + 1)
+      .offset(offset);
+
+    const data = rows.slice(0, limit);
+    const meta = {
+      limit,
+      offset,
+      nextOffset: rows.length > limit ? offset + limit : null,
+    };
+
+    res.json({ data, meta });
+  } catch (err) {
+    console.error(`Failed to list teams: ${err}`);
+    res.status(500).json({ error: "Failed to list teams." });
+  }
+});
+
+// POST /teams - Create a team (admins only)
+teamRouter.post("/", requireAdmin, async (req, res) => {
+  // Validate request body using Zod schema
+  const parsed = createTeamSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: parsed.error.issues,
+    });
+  }
+
+  try {
+    // Names are unique per sport, regardless of case
+    const [team] = await db
+      .insert(teams)
+      .values(parsed.data)
+      .onConflictDoNothing()
+      .returning();
+
+    if (!team) {
+      return res.status(409).json({ error: "Team already exists." });
+    }
+
+    res.status(201).json({ data: team });
+  } catch (err) {
+    console.error(`Failed to create team: ${err}`);
+    res.status(500).json({ error: "Failed to create team." });
+  }
+});
+
+// GET /teams/:id - Get a single team
+teamRouter.get("/:id", async (req, res) => {
+  // Validate team ID from URL parameters
+  const paramsResult = teamIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid team ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  try {
+    const team = await findTeam(paramsResult.data.id);
+    if (!team) {
+      return res.status(404).json({ error: "Team not found." });
+    }
+
+    res.json({ data: team });
+  } catch (err) {
+    console.error(`Failed to get team: ${err}`);
+    res.status(500).json({ error: "Failed to get team." });
+  }
+});
+
+// PATCH /teams/:id - Rename a team or change its aliases (admins only)
+teamRouter.patch("/:id", requireAdmin, async (req, res) => {
+  // Validate team ID from URL parameters
+  const paramsResult = teamIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid team ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  // Validate request body using Zod schema
+  const bodyResult = updateTeamSchema.safeParse(req.body);
+  if (!bodyResult.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: bodyResult.error.issues,
+    });
+  }
+
+  const teamId = paramsResult.data.id;
+  const changes = bodyResult.data;
+
+  try {
+    const team = await db.transaction(async (tx) => {
+      const [previous] = await tx
+        .select({ name: teams.name })
+        .from(teams)
+        .where(eq(teams.id, teamId))
+        .for("update");
+
+      const [updated] = await tx
+        .update(teams)
+        .set(changes)
+        .where(eq(teams.id, teamId))
+        .returning();
+
+      // Matches, commentary and match stats keep a copy of the name,
+      // so carry a rename over to them
+      if (updated && changes.name) {
+        await tx
+          .update(matches)
+          .set({ homeTeam: updated.name })
+          .where(eq(matches.homeTeamId, teamId));
+        await tx
+          .update(matches)
+          .set({ awayTeam: updated.name })
+          .where(eq(matches.awayTeamId, teamId));
+        await tx
+          .update(commentary)
+          .set({ team: updated.name })
+          .where(eq(commentary.teamId, teamId));
+        await tx
+          .update(matchStats)
+          .set({ team: updated.name })
+          .where(
+            and(
+              eq(matchStats.team, previous.name),
+              inArray(
+                matchStats.matchId,
+                tx
+                  .select({ id: matches.id })
+                  .from(matches)
+                  .where(
+                    or(
+                      eq(matches.homeTeamId, teamId),
+                      eq(matches.awayTeamId, teamId),
+                    ),
+                  ),
+              ),
+            ),
+          );
+      }
+
+      return updated;
+    });
+
+    if (!team) {
+      return res.status(404).json({ error: "Team not found." });
+    }
+
+    res.json({ data: team });
+  } catch (err) {
+    // Renaming to another team's name violates the unique index
+    if (err.cause?.code === "23505" || err.code === "23505") {
+      return res.status(409).json({ error: "Team already exists." });
+    }
+    console.error(`Failed to update team: ${err}`);
+    res.status(500).json({ error: "Failed to update team." });
+  }
+});
+
+// GET /teams/:id/players - List a team's players
+teamRouter.get("/:id/players", async (req, res) => {
+  // Validate team ID from URL parameters
+  const paramsResult = teamIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid team ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  try {
+    const team = await findTeam(paramsResult.data.id);
+    if (!team) {
+      return res.status(404).json({ error: "Team not found." });
+    }
+
+    const data = await db
+      .select()
+      .from(players)
+      .where(eq(players.teamId, team.id))
+      .orderBy(asc(players.name));
+
+    res.json({ data });
+  } catch (err) {
+    console.error(`Failed to list players: ${err}`);
+    res.status(500).json({ error: "Failed to list players." });
+  }
+});
+
+// POST /teams/:id/players - Add a player to a team (admins only)
+teamRouter.post("/:id/players", requireAdmin, async (req, res) => {
+  // Validate team ID from URL parameters
+  const paramsResult = teamIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid team ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  // Validate request body using Zod schema
+  const bodyResult = createPlayerSchema.safeParse(req.body);
+  if (!bodyResult.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: bodyResult.error.issues,
+    });
+  }
+
+  try {
+    const team = await findTeam(paramsResult.data.id);
+    if (!team) {
+      return res.status(404).json({ error: "Team not found." });
+    }
+
+    // Names are unique within a team, regardless of case
+    const [player] = await db
+      .insert(players)
+      .values({ ...bodyResult.data, teamId: team.id })
+      .onConflictDoNothing()
+      .returning();
+
+    if (!player) {
+      return res.status(409).json({ error: "Player already exists." });
+    }
+
+    res.status(201).json({ data: player });
+  } catch (err) {
+    console.error(`Failed to create player: ${err}`);
+    res.status(500).json({ error: "Failed to create player." });
+  }
+});
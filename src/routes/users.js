@@ -0,0 +1,67 @@
+import { Router } from "express";
+import { desc } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { users } from "../db/schema.js";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { generateApiKey, hashApiKey } from "../utils/api-keys.js";
+import { createUserSchema, USER_ROLES } from "../validation/users.js";
+
+// Create a new Express router instance for user management routes
+export const userRouter = Router();
+
+// Every user route is admin-only
+userRouter.use(authenticate, requireRole(USER_ROLES.ADMIN));
+
+// GET /users - List users (API key hashes are never returned)
+userRouter.get("/", async (req, res) => {
+  try {
+    const data = await db
+      .select({
+        id: users.id,
+        name: users.name,
+        role: users.role,
+        premium: users.premium,
+        createdAt: users.createdAt,
+      })
+      .from(users)
+      .orderBy(desc(users.createdAt));
+
+    res.json({ data });
+  } catch (err) {
+    console.error(`Failed to list users: ${err}`);
+    res.status(500).json({ error: "Failed to list users." });
+  }
+});
+
+// POST /users - Create a user and issue its API key
+userRouter.post("/", async (req, res) => {
+  // Validate request body using Zod schema
+  const parsed = createUserSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: parsed.error.issues,
+    });
+  }
+
+  try {
+    const apiKey = generateApiKey();
+
+    const [user] = await db
+      .insert(users)
+      .values({ ...parsed.data, apiKeyHash: hashApiKey(apiKey) })
+      .returning({
+        id: users.id,
+        name: users.name,
+        role: users.role,
+        premium: users.premium,
+        createdAt: users.createdAt,
+      });
+
+    // The raw key is only ever shown once, in this response
+    res.status(201).json({ data: { ...user, apiKey } });
+  } catch (err) {
+    console.error(`Failed to create user: ${err}`);
+    res.status(500).json({ error: "Failed to create user." });
+  }
+});
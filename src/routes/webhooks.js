@@ -0,0 +1,301 @@
+import { Router } from "express";
+import { and, desc, eq, inArray, lt, sql } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { webhookDeliveries, webhooks } from "../db/schema.js";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { generateWebhookSecret } from "../utils/webhooks.js";
+import { USER_ROLES } from "../validation/users.js";
+import {
+  createWebhookSchema,
+  listWebhookDeliveriesQuerySchema,
+  replayWebhookDeliveriesSchema,
+  updateWebhookSchema,
+  WEBHOOK_DELIVERY_STATUS,
+  webhookIdParamSchema,
+} from "../validation/webhooks.js";
+
+// Create a new Express router instance for webhook management routes
+export const webhookRouter = Router();
+
+// Define the maximum number of deliveries that can be returned in a single request
+const MAX_LIMIT = 100;
+
+// Every webhook route is admin-only
+webhookRouter.use(authenticate, requireRole(USER_ROLES.ADMIN));
+
+// Columns returned for a webhook (the signing secret is only shown when it is issued)
+const webhookColumns = {
+  id: webhooks.id,
+  url: webhooks.url,
+  events: webhooks.events,
+  description: webhooks.description,
+  active: webhooks.active,
+  premium: webhooks.premium,
+  createdAt: webhooks.createdAt,
+};
+
+// Look up a webhook by ID
+async function findWebhook(webhookId) {
+  const [webhook] = await db
+    .select(webhookColumns)
+    .from(webhooks)
+    .where(eq(webhooks.id, webhookId))
+    .limit(1);
+
+  return webhook ?? null;
+}
+
+// GET /webhooks - List webhooks
+webhookRouter.get("/", async (req, res) => {
+  try {
+    const data = await db
+      .select(webhookColumns)
+      .from(webhooks)
+      .orderBy(desc(webhooks.createdAt));
+
+    res.json({ data });
+  } catch (err) {
+    console.error(`Failed to list webhooks: ${err}`);
+    res.status(500).json({ error: "Failed to list webhooks." });
+  }
+});
+
+// POST /webhooks - Register a webhook and issue its signing secret
+webhookRouter.post("/", async (req, res) => {
+  // Validate request body using Zod schema
+  const parsed = createWebhookSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: parsed.error.issues,
+    });
+  }
+
+  try {
+    const secret = generateWebhookSecret();
+
+    const [webhook] = await db
+      .insert(webhooks)
+      .values({ ...parsed.data, secret })
+      .returning(webhookColumns);
+
+    // The secret is only ever shown once, in this response
+    res.status(201).json({ data: { ...webhook, secret } });
+  } catch (err) {
+    console.error(`Failed to create webhook: ${err}`);
+    res.status(500).json({ error: "Failed to create webhook." });
+  }
+});
+
+// GET /webhooks/:id - Get a single webhook
+webhookRouter.get("/:id", async (req, res) => {
+  // Validate webhook ID from URL parameters
+  const paramsResult = webhookIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid webhook ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  try {
+    const webhook = await findWebhook(paramsResult.data.id);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found." });
+    }
+
+    res.json({ data: webhook });
+  } catch (err) {
+    console.error(`Failed to get webhook: ${err}`);
+    res.status(500).json({ error: "Failed to get webhook." });
+  }
+});
+
+// PATCH /webhooks/:id - Change a webhook's URL or events, pause it, or rotate its secret
+webhookRouter.patch("/:id", async (req, res) => {
+  // Validate webhook ID from URL parameters
+  const paramsResult = webhookIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid webhook ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  // Validate request body using Zod schema
+  const bodyResult = updateWebhookSchema.safeParse(req.body);
+  if (!bodyResult.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: bodyResult.error.issues,
+    });
+  }
+
+  const { rotateSecret, ...changes } = bodyResult.data;
+  const secret = rotateSecret ? generateWebhookSecret() : undefined;
+
+  try {
+    const [webhook] = await db
+      .update(webhooks)
+      .set({ ...changes, secret })
+      .where(eq(webhooks.id, paramsResult.data.id))
+      .returning(webhookColumns);
+
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found." });
+    }
+
+    // A new secret is only ever shown once, in this response
+    res.json({ data: secret ? { ...webhook, secret } : webhook });
+  } catch (err) {
+    console.error(`Failed to update webhook: ${err}`);
+    res.status(500).json({ error: "Failed to update webhook." });
+  }
+});
+
+// DELETE /webhooks/:id - Remove a webhook and its delivery log
+webhookRouter.delete("/:id", async (req, res) => {
+  // Validate webhook ID from URL parameters
+  const paramsResult = webhookIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid webhook ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  try {
+    // Deliveries are removed with the webhook by the ON DELETE CASCADE foreign key
+    const [webhook] = await db
+      .delete(webhooks)
+      .where(eq(webhooks.id, paramsResult.data.id))
+      .returning(webhookColumns);
+
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found." });
+    }
+
+    res.json({ data: webhook });
+  } catch (err) {
+    console.error(`Failed to delete webhook: ${err}`);
+    res.status(500).json({ error: "Failed to delete webhook." });
+  }
+});
+
+// GET /webhooks/:id/deliveries - The webhook's delivery log, newest first
+// Filter with ?status=failed; page back with ?before=<id of the last delivery seen>
+webhookRouter.get("/:id/deliveries", async (req, res) => {
+  // Validate webhook ID from URL parameters
+  const paramsResult = webhookIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid webhook ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  // Validate query parameters using Zod schema
+  const queryResult = listWebhookDeliveriesQuerySchema.safeParse(req.query);
+  if (!queryResult.success) {
+    return res.status(400).json({
+      error: "Invalid query.",
+      details: queryResult.error.issues,
+    });
+  }
+
+  const { before, status } = queryResult.data;
+  const limit = Math.min(queryResult.data.limit ?? 50, MAX_LIMIT);
+
+  try {
+    const webhook = await findWebhook(paramsResult.data.id);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found." });
+    }
+
+    const conditions = [eq(webhookDeliveries.webhookId, webhook.id)];
+    if (status) conditions.push(eq(webhookDeliveries.status, status));
+    if (before) conditions.push(lt(webhookDeliveries.id, before));
+
+    // Fetch one extra row to know whether there is another page
+    const rows = await db
+      .select()
+      .from(webhookDeliveries)
+      .where(and(...conditions))
+      .orderBy(desc(webhookDeliveries.id))
+      .limit(limit + 1);
+
+    const data = rows.slice(0, limit);
+    const meta = {
+      limit,
+      nextCursor: rows.length > limit ? data[data.length - 1].id : null,
+    };
+
+    res.json({ data, meta });
+  } catch (err) {
+    console.error(`Failed to list webhook deliveries: ${err}`);
+    res.status(500).json({ error: "Failed to list webhook deliveries." });
+  }
+});
+
+// POST /webhooks/:id/deliveries/replay - Send failed deliveries again
+// Replays the deliveries listed in deliveryIds, or every failed delivery of the webhook
+// Replayed deliveries keep their ID and get a fresh set of attempts
+webhookRouter.post("/:id/deliveries/replay", async (req, res) => {
+  // Validate webhook ID from URL parameters
+  const paramsResult = webhookIdParamSchema.safeParse(req.params);
+  if (!paramsResult.success) {
+    return res.status(400).json({
+      error: "Invalid webhook ID",
+      details: paramsResult.error.issues,
+    });
+  }
+
+  // Validate request body using Zod schema
+  const bodyResult = replayWebhookDeliveriesSchema.safeParse(req.body ?? {});
+  if (!bodyResult.success) {
+    return res.status(400).json({
+      error: "Invalid payload.",
+      details: bodyResult.error.issues,
+    });
+  }
+
+  const { deliveryIds } = bodyResult.data;
+
+  try {
+    const webhook = await findWebhook(paramsResult.data.id);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found." });
+    }
+
+    if (!webhook.active) {
+      return res
+        .status(409)
+        .json({ error: "Cannot replay deliveries of a disabled webhook." });
+    }
+
+    const conditions = [
+      eq(webhookDeliveries.webhookId, webhook.id),
+      eq(webhookDeliveries.status, WEBHOOK_DELIVERY_STATUS.FAILED),
+    ];
+    if (deliveryIds) {
+      conditions.push(inArray(webhookDeliveries.id, deliveryIds));
+    }
+
+    const replayed = await db
+      .update(webhookDeliveries)
+      .set({
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: sql`now()`,
+      })
+      .where(and(...conditions))
+      .returning({ id: webhookDeliveries.id });
+
+    res.status(202).json({
+      data: { replayed: replayed.map((delivery) => delivery.id) },
+    });
+  } catch (err) {
+    console.error(`Failed to replay webhook deliveries: ${err}`);
+    res.status(500).json({ error: "Failed to replay webhook deliveries." });
+  }
+});
@@ -0,0 +1,38 @@
+import { db, pool } from "../db/db.js";
+import { users } from "../db/schema.js";
+import { generateApiKey, hashApiKey } from "../utils/api-keys.js";
+import { createUserSchema } from "../validation/users.js";
+
+// Create a user from the command line and print its API key
+// Usage: npm run users:create -- <name> <admin|commentator|viewer> [premium]
+// Needed to bootstrap the first admin, who can then create users through POST /users
+async function createUser() {
+  const [name, role, premium] = process.argv.slice(2);
+
+  const parsed = createUserSchema.safeParse({
+    name,
+    role,
+    premium: premium === "premium",
+  });
+  if (!parsed.success) {
+    throw new Error(
+      "Usage: npm run users:create -- <name> <admin|commentator|viewer> [premium]",
+    );
+  }
+
+  const apiKey = generateApiKey();
+  const [user] = await db
+    .insert(users)
+    .values({ ...parsed.data, apiKeyHash: hashApiKey(apiKey) })
+    .returning({ id: users.id, name: users.name, role: users.role });
+
+  console.log(`Created ${user.role} "${user.name}" (id ${user.id})`);
+  console.log(`API key (shown only once): ${apiKey}`);
+}
+
+createUser()
+  .catch((err) => {
+    console.error(`Failed to create user: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
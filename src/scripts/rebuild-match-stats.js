@@ -0,0 +1,32 @@
+import { eq } from "drizzle-orm";
+import { db, pool } from "../db/db.js";
+import { matches } from "../db/schema.js";
+import { rebuildMatchStats } from "../utils/match-stats.js";
+
+// Recount match stats from commentary, e.g. for commentary posted before stats were tracked
+// Usage: npm run stats:rebuild -- [matchId]
+// Without a match ID, every match is recounted
+async function rebuildStats() {
+  const [matchIdArg] = process.argv.slice(2);
+  const matchId = matchIdArg === undefined ? undefined : Number(matchIdArg);
+  if (matchId !== undefined && !Number.isInteger(matchId)) {
+    throw new Error("Usage: npm run stats:rebuild -- [matchId]");
+  }
+
+  const rows = await db
+    .select()
+    .from(matches)
+    .where(matchId === undefined ? undefined : eq(matches.id, matchId));
+
+  for (const match of rows) {
+    await db.transaction((tx) => rebuildMatchStats(tx, match));
+    console.log(`Rebuilt stats for match ${match.id}`);
+  }
+}
+
+rebuildStats()
+  .catch((err) => {
+    console.error(`Failed to rebuild stats: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,4 +1,5 @@
 import "dotenv/config";
+import { randomUUID } from "crypto";
 import fs from "fs/promises";
 
 const DELAY_MS = Number.parseInt(process.env.DELAY_MS || "250", 10);
@@ -15,6 +16,23 @@ const API_URL = process.env.API_URL;
 if (!API_URL) {
     throw new Error("API_URL is required to seed via REST endpoints.");
 }
+// Write endpoints require an admin API key (see `npm run users:create`)
+const API_KEY = process.env.API_KEY;
+if (!API_KEY) {
+    throw new Error("API_KEY is required to seed via REST endpoints.");
+}
+const WRITE_HEADERS = {
+    "content-type": "application/json",
+    authorization: `Bearer ${API_KEY}`,
+};
+
+// Creating requests are retried on timeouts and server errors; each keeps one
+// Idempotency-Key across its attempts so a retry never creates a duplicate
+const POST_TIMEOUT_MS = 10000;
+const MAX_POST_ATTEMPTS = 3;
+
+// Entries per bulk request when seeding without a delay (the server accepts up to 500)
+const BULK_BATCH_SIZE = 200;
 
 const DEFAULT_DATA_FILE = new URL("../data/data.json", import.meta.url);
 
@@ -106,21 +124,50 @@ function buildMatchTimes(seedMatch) {
     };
 }
 
+async function postWithRetry(path, body) {
+    const headers = { ...WRITE_HEADERS, "idempotency-key": randomUUID() };
+
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            const response = await fetch(`${API_URL}${path}`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(POST_TIMEOUT_MS),
+            });
+            // 409: the previous attempt is still being processed; Retry-After says
+            // when the server lets this one take over if that attempt never finishes
+            const retryable = response.status >= 500 || response.status === 409;
+            if (!retryable || attempt >= MAX_POST_ATTEMPTS) {
+                return response;
+            }
+            const retryAfterSeconds = Number(response.headers.get("retry-after"));
+            if (response.status === 409 && retryAfterSeconds > 0) {
+                await new Promise((resolve) =>
+                    setTimeout(resolve, retryAfterSeconds * 1000),
+                );
+                continue;
+            }
+        } catch (error) {
+            if (attempt >= MAX_POST_ATTEMPTS) {
+                throw error;
+            }
+        }
+        await new Promise((resolve) => setTimeout(resolve, DELAY_MS * attempt));
+    }
+}
+
 async function createMatch(seedMatch) {
     const { startTime, endTime } = buildMatchTimes(seedMatch);
 
-    const response = await fetch(`${API_URL}/matches`, {
-        method: "POST",
-        headers: { "content-type": "application/json" },
-        body: JSON.stringify({
-            sport: seedMatch.sport,
-            homeTeam: seedMatch.homeTeam,
-            awayTeam: seedMatch.awayTeam,
-            startTime,
-            endTime,
-            homeScore: seedMatch.homeScore ?? 0,
-            awayScore: seedMatch.awayScore ?? 0,
-        }),
+    const response = await postWithRetry("/matches", {
+        sport: seedMatch.sport,
+        homeTeam: seedMatch.homeTeam,
+        awayTeam: seedMatch.awayTeam,
+        startTime,
+        endTime,
+        homeScore: seedMatch.homeScore ?? 0,
+        awayScore: seedMatch.awayScore ?? 0,
     });
     if (!response.ok) {
         throw new Error(`Failed to create match: ${response.status}`);
@@ -129,16 +176,13 @@ async function createMatch(seedMatch) {
     return responsePayload.data;
 }
 
-async function insertCommentary(matchId, entry) {
+function buildCommentaryPayload(entry) {
     const payload = {
         message: entry.message ?? "Update",
     };
     if (entry.minute !== undefined && entry.minute !== null) {
         payload.minute = entry.minute;
     }
-    if (entry.sequence !== undefined && entry.sequence !== null) {
-        payload.sequence = entry.sequence;
-    }
     if (entry.period !== undefined && entry.period !== null) {
         payload.period = entry.period;
     }
@@ -154,27 +198,38 @@ async function insertCommentary(matchId, entry) {
     if (entry.metadata !== undefined && entry.metadata !== null) {
         payload.metadata = entry.metadata;
     }
+    // Runs actually scored in cricket, e.g. 3 for a run, go in the runs metadata
+    if (Number.isFinite(entry.runs)) {
+        payload.metadata = { ...payload.metadata, runs: entry.runs };
+    }
+    // Points the feed already worked out; in cricket the server credits them to
+    // the batting side of the innings
+    if (entry.scoreDelta !== undefined && entry.scoreDelta !== null) {
+        payload.scoreDelta = entry.scoreDelta;
+    }
     if (entry.tags !== undefined && entry.tags !== null) {
         payload.tags = entry.tags;
     }
 
-    const response = await fetch(`${API_URL}/matches/${matchId}/commentary`, {
-        method: "POST",
-        headers: { "content-type": "application/json" },
-        // NOTE: Avoid sending nulls; the API expects missing optional fields.
-        // body: JSON.stringify({
-        //   minute: entry.minute ?? null,
-        //   sequence: entry.sequence ?? null,
-        //   period: entry.period ?? null,
-        //   eventType: entry.eventType ?? null,
-        //   actor: entry.actor ?? null,
-        //   team: entry.team ?? null,
-        //   message: entry.message ?? "Update",
-        //   metadata: entry.metadata ?? null,
-        //   tags: entry.tags ?? null,
-        // }),
-        body: JSON.stringify(payload),
-    });
+    // NOTE: Avoid sending nulls; the API expects missing optional fields.
+    // body: JSON.stringify({
+    //   minute: entry.minute ?? null,
+    //   period: entry.period ?? null,
+    //   eventType: entry.eventType ?? null,
+    //   actor: entry.actor ?? null,
+    //   team: entry.team ?? null,
+    //   message: entry.message ?? "Update",
+    //   metadata: entry.metadata ?? null,
+    //   tags: entry.tags ?? null,
+    // }),
+    return payload;
+}
+
+async function insertCommentary(matchId, entry) {
+    const response = await postWithRetry(
+        `/matches/${matchId}/commentary`,
+        buildCommentaryPayload(entry),
+    );
     if (!response.ok) {
         throw new Error(`Failed to create commentary: ${response.status}`);
     }
@@ -182,66 +237,6 @@ async function insertCommentary(matchId, entry) {
     return responsePayload.data;
 }
 
-// NOTE: Score delta logic is commented out because this codebase
-// does not expose score update endpoints.
-// function extractRuns(entry) {
-//   if (Number.isFinite(entry.runs)) {
-//     return entry.runs;
-//   }
-//   if (entry.metadata && Number.isFinite(entry.metadata.runs)) {
-//     return entry.metadata.runs;
-//   }
-//   if (entry.eventType === "four") {
-//     return 4;
-//   }
-//   if (entry.eventType === "six") {
-//     return 6;
-//   }
-//   if (entry.eventType === "run") {
-//     return 1;
-//   }
-//   return null;
-// }
-//
-// function scoreDeltaFromEntry(entry, match) {
-//   if (entry.scoreDelta && typeof entry.scoreDelta === "object") {
-//     return {
-//       home: Number(entry.scoreDelta.home || 0),
-//       away: Number(entry.scoreDelta.away || 0),
-//     };
-//   }
-//
-//   if (entry.eventType === "goal") {
-//     if (entry.team === match.homeTeam) {
-//       return { home: 1, away: 0 };
-//     }
-//     if (entry.team === match.awayTeam) {
-//       return { home: 0, away: 1 };
-//     }
-//   }
-//
-//   const runs = extractRuns(entry);
-//   if (runs !== null) {
-//     if (entry.team === match.homeTeam) {
-//       return { home: runs, away: 0 };
-//     }
-//     if (entry.team === match.awayTeam) {
-//       return { home: 0, away: runs };
-//     }
-//   }
-//
-//   return null;
-// }
-//
-// function fakeScoreDelta(matchState) {
-//   const nextSide = matchState.fakeNext === "home" ? "away" : "home";
-//   matchState.fakeNext = nextSide;
-//   const points = 1;
-//   return nextSide === "home"
-//     ? { home: points, away: 0 }
-//     : { home: 0, away: points };
-// }
-
 function inningsRank(period) {
     if (!period) {
         return 0;
@@ -266,40 +261,6 @@ function inningsRank(period) {
     return 0;
 }
 
-function cricketBattingTeam(entry, match) {
-    const rank = inningsRank(entry.period);
-    if (rank === 1) {
-        return match.homeTeam;
-    }
-    if (rank === 2) {
-        return match.awayTeam;
-    }
-    return null;
-}
-
-// function cricketScoreDelta(entry, match) {
-//   const battingTeam = cricketBattingTeam(entry, match);
-//   let delta = scoreDeltaFromEntry(entry, match);
-//   if (!delta) {
-//     if (!battingTeam) {
-//       return null;
-//     }
-//     const points = 1;
-//     return battingTeam === match.homeTeam
-//       ? { home: points, away: 0 }
-//       : { home: 0, away: points };
-//   }
-//
-//   if (!battingTeam) {
-//     return delta;
-//   }
-//
-//   if (battingTeam === match.homeTeam) {
-//     return { home: delta.home, away: 0 };
-//   }
-//   return { home: 0, away: delta.away };
-// }
-
 function normalizeCricketFeed(entries, match) {
     const sorted = [...entries].sort((a, b) => {
         const inningsDiff = inningsRank(a.period) - inningsRank(b.period);
@@ -496,17 +457,21 @@ function getMatchEntry(entry, matchMap) {
     return matchMap.get(entry.matchId) ?? null;
 }
 
-// NOTE: Score updates are not part of this codebase yet.
-// async function updateMatchScore(matchId, homeScore, awayScore) {
-//   const response = await fetch(`${API_URL}/matches/${matchId}/score`, {
-//     method: "PATCH",
-//     headers: { "content-type": "application/json" },
-//     body: JSON.stringify({ homeScore, awayScore }),
-//   });
-//   if (!response.ok) {
-//     throw new Error(`Failed to update score: ${response.status}`);
-//   }
-// }
+async function updateMatchScore(matchId, homeScore, awayScore) {
+    const response = await fetch(`${API_URL}/matches/${matchId}/score`, {
+        method: "PATCH",
+        headers: WRITE_HEADERS,
+        body: JSON.stringify({ homeScore, awayScore }),
+    });
+    // 409: the match has finished, and its score is final
+    if (response.status === 409) {
+        console.warn(`⚠️  Match ${matchId} has finished; keeping its score`);
+        return;
+    }
+    if (!response.ok) {
+        throw new Error(`Failed to update score: ${response.status}`);
+    }
+}
 
 function randomMatchDelay() {
     const range = NEW_MATCH_DELAY_MAX_MS - NEW_MATCH_DELAY_MIN_MS;
@@ -517,13 +482,56 @@ function randomMatchDelay() {
 // async function endMatch(matchId) {
 //   const response = await fetch(`${API_URL}/matches/${matchId}/end`, {
 //     method: "PATCH",
-//     headers: { "content-type": "application/json" },
+//     headers: WRITE_HEADERS,
 //   });
 //   if (!response.ok) {
 //     throw new Error(`Failed to end match: ${response.status}`);
 //   }
 // }
 
+async function insertCommentaryBatch(matchId, entries) {
+    const response = await postWithRetry(
+        `/matches/${matchId}/commentary/bulk`,
+        entries.map(buildCommentaryPayload),
+    );
+    if (!response.ok) {
+        throw new Error(`Failed to create commentary batch: ${response.status}`);
+    }
+    const responsePayload = await response.json();
+    return responsePayload.data;
+}
+
+// Without a delay there is no live feed to simulate, so each match's entries are
+// sent in bulk rather than one request per entry
+async function insertFeedInBulk(feed, matchMap) {
+    const entriesByMatchId = new Map();
+    for (const entry of feed) {
+        const target = getMatchEntry(entry, matchMap);
+        if (!target) {
+            console.warn(
+                "⚠️  Skipping entry: matchId missing or not found:",
+                entry.message,
+            );
+            continue;
+        }
+        const matchId = target.match.id;
+        if (!entriesByMatchId.has(matchId)) {
+            entriesByMatchId.set(matchId, []);
+        }
+        entriesByMatchId.get(matchId).push(entry);
+    }
+
+    for (const [matchId, entries] of entriesByMatchId) {
+        for (let i = 0; i < entries.length; i += BULK_BATCH_SIZE) {
+            const rows = await insertCommentaryBatch(
+                matchId,
+                entries.slice(i, i + BULK_BATCH_SIZE),
+            );
+            console.log(`📣 [Match ${matchId}] ${rows.length} entries`);
+        }
+    }
+}
+
 async function seed() {
     console.log(`📡 Seeding via API: ${API_URL}`);
 
@@ -540,11 +548,7 @@ async function seed() {
         if (!matchKeyMap.has(key)) {
             matchKeyMap.set(key, match);
         }
-        matchMap.set(match.id, {
-            match,
-            score: { home: match.homeScore ?? 0, away: match.awayScore ?? 0 },
-            fakeNext: Math.random() < 0.5 ? "home" : "away",
-        });
+        matchMap.set(match.id, { match });
     }
 
     if (Array.isArray(seedMatches) && seedMatches.length > 0) {
@@ -558,17 +562,9 @@ async function seed() {
                 await new Promise((resolve) => setTimeout(resolve, delayMs));
             }
             if (Number.isInteger(seedMatch.id)) {
-                matchMap.set(seedMatch.id, {
-                    match,
-                    score: { home: match.homeScore ?? 0, away: match.awayScore ?? 0 },
-                    fakeNext: Math.random() < 0.5 ? "home" : "away",
-                });
+                matchMap.set(seedMatch.id, { match });
             }
-            matchMap.set(match.id, {
-                match,
-                score: { home: match.homeScore ?? 0, away: match.awayScore ?? 0 },
-                fakeNext: Math.random() < 0.5 ? "home" : "away",
-            });
+            matchMap.set(match.id, { match });
         }
     }
 
@@ -576,18 +572,16 @@ async function seed() {
         throw new Error("No matches found or created in the database.");
     }
 
-    // NOTE: Score resets are disabled because score updates are not supported.
-    // const resetIds = new Set();
-    // for (const entry of matchMap.values()) {
-    //   const matchId = entry.match?.id;
-    //   if (!Number.isInteger(matchId) || resetIds.has(matchId)) {
-    //     continue;
-    //   }
-    //   resetIds.add(matchId);
-    //   entry.score.home = 0;
-    //   entry.score.away = 0;
-    //   await updateMatchScore(matchId, 0, 0);
-    // }
+    const resetIds = new Set();
+    for (const entry of matchMap.values()) {
+        const matchId = entry.match?.id;
+        if (!Number.isInteger(matchId) || resetIds.has(matchId)) {
+            continue;
+        }
+        resetIds.add(matchId);
+        // Start from 0-0; the server adds up the score from the scoring commentary
+        await updateMatchScore(matchId, 0, 0);
+    }
 
     const expandedFeed = expandFeedForMatches(feed, seedMatches);
     const randomizedFeed = buildRandomizedFeed(expandedFeed, matchMap);
@@ -603,6 +597,11 @@ async function seed() {
     //   );
     // }
 
+    if (DELAY_MS === 0) {
+        await insertFeedInBulk(randomizedFeed, matchMap);
+        return;
+    }
+
     for (let i = 0; i < randomizedFeed.length; i += 1) {
         const entry = randomizedFeed[i];
         const target = getMatchEntry(entry, matchMap);
@@ -615,22 +614,14 @@ async function seed() {
         }
         const match = target.match;
 
+        // Scoring entries (goals, runs, baskets...) update the match score on the server
         const row = await insertCommentary(match.id, entry);
         console.log(`📣 [Match ${match.id}] ${row.message}`);
-
-        // NOTE: Score updates are intentionally disabled in this codebase.
-        // const isCricket = String(match.sport).toLowerCase() === "cricket";
-        // const delta = isCricket
-        //   ? cricketScoreDelta(entry, match, target)
-        //   : (scoreDeltaFromEntry(entry, match) ?? fakeScoreDelta(target));
-        // if (delta) {
-        //   target.score.home += delta.home;
-        //   target.score.away += delta.away;
-        //   await updateMatchScore(match.id, target.score.home, target.score.away);
-        //   console.log(
-        //     `📊 [Match ${match.id}] Score updated: ${target.score.home}-${target.score.away}`,
-        //   );
-        // }
+        if (row.homeScoreDelta || row.awayScoreDelta) {
+            console.log(
+                `📊 [Match ${match.id}] Scored: ${row.homeScoreDelta}-${row.awayScoreDelta}`,
+            );
+        }
 
         // NOTE: Match status updates are intentionally disabled in this codebase.
         // if (Number.isInteger(entry.matchId)) {
@@ -0,0 +1,58 @@
+import { z } from "zod";
+
+// Basketball
+export const basketball = {
+  name: "basketball",
+
+  eventTypes: [
+    "tipoff",
+    "basket",
+    "three",
+    "free_throw",
+    "rebound",
+    "assist",
+    "steal",
+    "block",
+    "turnover",
+    "foul",
+    "timeout",
+    "substitution",
+    "quarter_end",
+  ],
+
+  periods: ["Q1", "Q2", "Q3", "Q4", "OT"],
+
+  // Unknown keys are rejected so typos don't go unnoticed
+  metadata: z.strictObject({
+    // Points actually scored, when they differ from the event's usual value
+    points: z.number().int().min(0).max(4).optional(),
+    assist: z.string().min(1).optional(),
+    // Distance of a shot, in feet
+    distance: z.number().nonnegative().optional(),
+    playerIn: z.string().min(1).optional(),
+    playerOut: z.string().min(1).optional(),
+  }),
+
+  // Points each scoring event adds to the team's score
+  points: { free_throw: 1, basket: 2, three: 3 },
+
+  // Metadata field that overrides the points of a scoring event
+  pointsMetadataField: "points",
+
+  // Standings points for a result (see src/utils/standings.js); a loss still earns a point
+  standings: { win: 2, draw: 1, loss: 1 },
+
+  // Statistics each event type counts towards (see src/utils/match-stats.js)
+  stats: {
+    basket: ["baskets"],
+    three: ["threes"],
+    free_throw: ["free_throws"],
+    rebound: ["rebounds"],
+    assist: ["assists"],
+    steal: ["steals"],
+    block: ["blocks"],
+    turnover: ["turnovers"],
+    foul: ["fouls"],
+    timeout: ["timeouts"],
+  },
+};
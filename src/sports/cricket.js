@@ -0,0 +1,69 @@
+import { z } from "zod";
+
+// Cricket
+// The team of a scoring entry is the batting team
+export const cricket = {
+  name: "cricket",
+
+  eventTypes: [
+    "start",
+    "run",
+    "four",
+    "six",
+    "wide",
+    "no_ball",
+    "wicket",
+    "review",
+    "over_end",
+    "drinks",
+    "innings_end",
+  ],
+
+  periods: [
+    "1st innings",
+    "2nd innings",
+    "3rd innings",
+    "4th innings",
+    "super over",
+  ],
+
+  // Unknown keys are rejected so typos don't go unnoticed
+  metadata: z.strictObject({
+    // Runs actually scored, when they differ from the event's usual value (e.g. 3 for a run)
+    runs: z.number().int().min(0).max(7).optional(),
+    // Over and ball within the over, e.g. over 12, ball 4
+    over: z.number().int().nonnegative().optional(),
+    ball: z.number().int().min(1).max(6).optional(),
+    batter: z.string().min(1).optional(),
+    bowler: z.string().min(1).optional(),
+    dismissal: z
+      .enum([
+        "bowled",
+        "caught",
+        "lbw",
+        "run_out",
+        "stumped",
+        "hit_wicket",
+        "retired",
+      ])
+      .optional(),
+  }),
+
+  // Runs each scoring event adds to the batting team's score
+  points: { run: 1, four: 4, six: 6, wide: 1, no_ball: 1 },
+
+  // Metadata field that overrides the points of a scoring event
+  pointsMetadataField: "runs",
+
+  // Standings points for a result (see src/utils/standings.js); ties share the points
+  standings: { win: 2, draw: 1, loss: 0 },
+
+  // Statistics each event type counts towards (see src/utils/match-stats.js)
+  stats: {
+    four: ["fours", "boundaries"],
+    six: ["sixes", "boundaries"],
+    wide: ["extras"],
+    no_ball: ["extras"],
+    wicket: ["wickets"],
+  },
+};
@@ -0,0 +1,67 @@
+import { z } from "zod";
+
+// Football (soccer)
+export const football = {
+  name: "football",
+
+  eventTypes: [
+    "kickoff",
+    "pass",
+    "shot",
+    "save",
+    "goal",
+    "corner",
+    "free_kick",
+    "penalty",
+    "offside",
+    "foul",
+    "yellow_card",
+    "red_card",
+    "substitution",
+    "injury",
+    "var",
+    "half_time",
+    "full_time",
+  ],
+
+  periods: [
+    "1st half",
+    "2nd half",
+    "1st half extra time",
+    "2nd half extra time",
+    "penalties",
+  ],
+
+  // Unknown keys are rejected so typos don't go unnoticed
+  metadata: z.strictObject({
+    // Stoppage time, e.g. 3 for 45+3'
+    addedTime: z.number().int().nonnegative().optional(),
+    assist: z.string().min(1).optional(),
+    bodyPart: z.enum(["left_foot", "right_foot", "header", "other"]).optional(),
+    // Expected goals of a shot
+    xg: z.number().min(0).max(1).optional(),
+    playerIn: z.string().min(1).optional(),
+    playerOut: z.string().min(1).optional(),
+  }),
+
+  // Points each scoring event adds to the team's score
+  points: { goal: 1 },
+
+  // Standings points for a result (see src/utils/standings.js)
+  standings: { win: 3, draw: 1, loss: 0 },
+
+  // Statistics each event type counts towards (see src/utils/match-stats.js)
+  // A goal is also a shot
+  stats: {
+    shot: ["shots"],
+    goal: ["goals", "shots"],
+    save: ["saves"],
+    pass: ["passes"],
+    corner: ["corners"],
+    offside: ["offsides"],
+    foul: ["fouls"],
+    yellow_card: ["yellow_cards"],
+    red_card: ["red_cards"],
+    substitution: ["substitutions"],
+  },
+};
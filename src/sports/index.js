@@ -0,0 +1,30 @@
+import { basketball } from "./basketball.js";
+import { cricket } from "./cricket.js";
+import { football } from "./football.js";
+
+/**
+ * Registry of sport definitions, keyed by the match's sport.
+ * Each definition lists:
+ * - eventTypes: the commentary event types allowed for the sport
+ * - periods: the allowed period names
+ * - metadata: zod schema for the commentary metadata
+ * - points: points each scoring event type adds (see src/utils/score.js)
+ * - pointsMetadataField: metadata field overriding those points, if any
+ * - stats: statistics each event type counts towards (see src/utils/match-stats.js)
+ * - standings: standings points for a win, a draw and a loss (see src/utils/standings.js)
+ */
+const SPORTS = {
+  [football.name]: football,
+  [cricket.name]: cricket,
+  [basketball.name]: basketball,
+};
+
+/**
+ * Look up the definition of a sport.
+ * @param {string} sport - The sport of a match, e.g. "football" (case-insensitive).
+ * @returns {object|null} - The sport definition, or null for sports without one.
+ */
+export function getSport(sport) {
+  const key = sport?.toLowerCase();
+  return Object.hasOwn(SPORTS, key) ? SPORTS[key] : null;
+}
@@ -0,0 +1,240 @@
+import { Router } from "express";
+import { eq } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { matches } from "../db/schema.js";
+import {
+  MATCHES_CHANNEL,
+  MAX_CHANNELS_PER_CLIENT,
+  matchChannel,
+  normalizeChannel,
+} from "../events/channels.js";
+import {
+  readCommentarySince,
+  skipReplayedCommentary,
+} from "../events/replay.js";
+import { canAccessMatch, optionalAuthenticate } from "../middleware/auth.js";
+import { matchIdParamSchema } from "../validation/matches.js";
+
+// Interval for comment lines that keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Write one event to a Server-Sent Events stream.
+ * The payload is the same object WebSocket clients receive.
+ * Commentary events carry their row ID so clients can resume with Last-Event-ID;
+ * commentary batches carry the ID of their last entry.
+ * @param {import("express").Response} res - The open stream.
+ * @param {object} payload - The event to send.
+ */
+function writeEvent(res, payload) {
+  let frame = "";
+  if (payload.type === "commentary" && payload.data?.id) {
+    frame += `id: ${payload.data.id}\n`;
+  } else if (payload.type === "commentary_batch") {
+    frame += `id: ${payload.data.entries.at(-1).id}\n`;
+  }
+  frame += `event: ${payload.type}\n`;
+  frame += `data: ${JSON.stringify(payload)}\n\n`;
+  res.write(frame);
+}
+
+/**
+ * Start a Server-Sent Events response.
+ * @param {import("express").Response} res
+ */
+function openStream(res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop reverse proxies such as nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Read the resume cursor from the Last-Event-ID header, or the lastEventId
+ * query parameter for clients that cannot set headers on the first request.
+ * @param {import("express").Request} req
+ * @returns {number|undefined}
+ */
+function readLastEventId(req) {
+  const raw = req.get("last-event-id") ?? req.query.lastEventId;
+  const lastEventId = Number(raw);
+  return raw !== undefined && Number.isInteger(lastEventId) && lastEventId >= 0
+    ? lastEventId
+    : undefined;
+}
+
+/**
+ * Create the routes serving Server-Sent Events streams, an alternative to the
+ * WebSocket server for clients behind proxies that block upgrades.
+ * Both transports deliver the same events from the same broker.
+ * - GET /stream: events on the channels listed in ?channels= (see
+ *   src/events/channels.js), by default the "matches" lifecycle channel
+ * - GET /:id/stream: every event for one match, resumable with Last-Event-ID
+ * @param {object} options
+ * @param {object} options.broker - Pub/sub broker the events are published to.
+ * @returns {{ router: import("express").Router, close: () => void }}
+ */
+export function createSseStreams({ broker }) {
+  const router = Router();
+
+  // Every open stream, each with the channels it follows
+  const clients = new Set();
+
+  function deliver(client, payload) {
+    // Hold live events back while the client is still replaying missed ones
+    if (client.pending) {
+      client.pending.push(payload);
+      return;
+    }
+    writeEvent(client.res, payload);
+  }
+
+  // Deliver messages published by any instance to the streams open here
+  const unsubscribeBroker = broker.subscribe(
+    ({ channels, restricted, payload }) => {
+      for (const client of clients) {
+        if (!channels.some((channel) => client.channels.has(channel))) {
+          continue;
+        }
+        // Content of premium matches reaches entitled users only
+        if (restricted && !canAccessMatch(client.user, { isPremium: true })) {
+          continue;
+        }
+        deliver(client, payload);
+      }
+    },
+  );
+
+  const heartbeatInterval = setInterval(() => {
+    for (const client of clients) {
+      client.res.write(": ping\n\n");
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // Stop delivering events and end every open stream
+  function close() {
+    clearInterval(heartbeatInterval);
+    unsubscribeBroker();
+    for (const client of clients) {
+      client.res.end();
+    }
+  }
+
+  // GET /stream - Events on a set of channels, e.g. ?channels=sport:football,status:live
+  router.get("/stream", optionalAuthenticate, (req, res) => {
+    const requested =
+      typeof req.query.channels === "string"
+        ? req.query.channels.split(",")
+        : [MATCHES_CHANNEL];
+    const channels = requested.map(normalizeChannel);
+
+    const invalid = requested.filter((_, index) => channels[index] === null);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: "Invalid channel", invalid });
+    }
+
+    if (channels.length > MAX_CHANNELS_PER_CLIENT) {
+      return res.status(400).json({
+        error: `Cannot follow more than ${MAX_CHANNELS_PER_CLIENT} channels`,
+      });
+    }
+
+    openStream(res);
+
+    const client = {
+      res,
+      user: req.user,
+      channels: new Set(channels),
+      pending: null,
+    };
+    clients.add(client);
+    req.on("close", () => clients.delete(client));
+  });
+
+  // GET /:id/stream - Every event for a single match
+  router.get("/:id/stream", optionalAuthenticate, async (req, res) => {
+    // Validate match ID from URL parameters
+    const paramsResult = matchIdParamSchema.safeParse(req.params);
+    if (!paramsResult.success) {
+      return res.status(400).json({
+        error: "Invalid match ID",
+        details: paramsResult.error.issues,
+      });
+    }
+
+    const matchId = paramsResult.data.id;
+
+    let match;
+    try {
+      [match] = await db
+        .select({ isPremium: matches.isPremium })
+        .from(matches)
+        .where(eq(matches.id, matchId))
+        .limit(1);
+    } catch (err) {
+      console.error(`Failed to open match stream: ${err}`);
+      return res.status(500).json({ error: "Failed to open match stream." });
+    }
+
+    if (!match) {
+      return res.status(404).json({ error: "Match not found." });
+    }
+
+    if (!canAccessMatch(req.user, match)) {
+      return res
+        .status(403)
+        .json({ error: "This match requires a premium account." });
+    }
+
+    openStream(res);
+
+    // Follow the match before replaying so nothing posted meanwhile is lost
+    const lastEventId = readLastEventId(req);
+    const client = {
+      res,
+      user: req.user,
+      channels: new Set([matchChannel(matchId)]),
+      pending: lastEventId === undefined ? null : [],
+    };
+    clients.add(client);
+
+    let closed = false;
+    req.on("close", () => {
+      closed = true;
+      clients.delete(client);
+    });
+
+    if (lastEventId === undefined) return;
+
+    // Replay missed commentary, then switch to live delivery,
+    // skipping anything the replay already sent
+    const replayedIds = new Set();
+    try {
+      for await (const row of readCommentarySince(matchId, lastEventId)) {
+        if (closed) return;
+        writeEvent(res, { type: "commentary", data: row, replay: true });
+        replayedIds.add(row.id);
+      }
+    } catch (err) {
+      console.error(`Failed to replay commentary: ${err}`);
+      writeEvent(res, {
+        type: "error",
+        message: "Failed to replay missed commentary",
+        matchId,
+      });
+    }
+
+    const pending = client.pending;
+    client.pending = null;
+    for (const payload of pending) {
+      const live = skipReplayedCommentary(payload, replayedIds);
+      if (live) writeEvent(res, live);
+    }
+  });
+
+  return { router, close };
+}
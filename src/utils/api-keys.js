@@ -0,0 +1,14 @@
+import { createHash, randomBytes } from "crypto";
+
+// Prefix that makes API keys easy to recognise, e.g. in leaked-secret scanners
+const API_KEY_PREFIX = "sk_";
+
+// Generate a new random API key
+export function generateApiKey() {
+  return `${API_KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+}
+
+// Hash an API key for storage and lookup, so raw keys are never kept in the database
+export function hashApiKey(apiKey) {
+  return createHash("sha256").update(apiKey).digest("hex");
+}
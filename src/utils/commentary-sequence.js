@@ -0,0 +1,51 @@
+import { eq } from "drizzle-orm";
+import { matches } from "../db/schema.js";
+
+/**
+ * Lock a match's commentary counter and read the last sequence number given out.
+ * The match row stays locked until the transaction ends, so entries posted to the
+ * same match at the same time are numbered one after the other. Numbers are only
+ * used up by saveCommentarySequence, in the same transaction as the insert, so a
+ * request that is rejected or rolled back leaves no gap.
+ * @param {object} tx - The transaction to run the query in.
+ * @param {number} matchId - The ID of the match.
+ * @returns {Promise<number>} - The last sequence number, 0 before the first entry.
+ */
+export async function lockCommentarySequence(tx, matchId) {
+  const [match] = await tx
+    .select({ commentarySequence: matches.commentarySequence })
+    .from(matches)
+    .where(eq(matches.id, matchId))
+    .for("update");
+
+  return match?.commentarySequence ?? 0;
+}
+
+/**
+ * Record the last sequence number given to a match's commentary.
+ * @param {object} tx - The transaction that locked the counter.
+ * @param {number} matchId - The ID of the match.
+ * @param {number} sequence - The sequence number of the entry just inserted.
+ */
+export async function saveCommentarySequence(tx, matchId, sequence) {
+  await tx
+    .update(matches)
+    .set({ commentarySequence: sequence })
+    .where(eq(matches.id, matchId));
+}
+
+/**
+ * Check the sequence number a client expects its entry to get, if it sent one.
+ * @param {object} entry - The commentary entry, with the client's sequence if any.
+ * @param {number} sequence - The sequence number the server is about to assign.
+ * @returns {object|null} - A validation issue, or null if there is no conflict.
+ */
+export function checkClientSequence(entry, sequence) {
+  if (entry.sequence === undefined || entry.sequence === sequence) return null;
+
+  return {
+    path: ["sequence"],
+    message: `Expected sequence ${sequence}`,
+    code: "custom",
+  };
+}
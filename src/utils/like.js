@@ -0,0 +1,4 @@
+// Escape LIKE wildcards so user input is matched literally, e.g. "50%" or "a_b"
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, "\\$&");
+}
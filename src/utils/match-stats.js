@@ -0,0 +1,147 @@
+import { and, asc, eq, lte, sql } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { commentary, matchStats } from "../db/schema.js";
+import { getSport } from "../sports/index.js";
+
+/**
+ * List every statistic counted for a sport, in a stable order.
+ * @param {string} sport - The sport of the match, e.g. "football".
+ * @returns {string[]}
+ */
+export function statNamesForSport(sport) {
+  const eventStats = getSport(sport)?.stats ?? {};
+  return [...new Set(Object.values(eventStats).flat())];
+}
+
+/**
+ * List the statistics a commentary entry counts towards.
+ * @param {string} sport - The sport of the match the entry belongs to.
+ * @param {object} entry - The commentary entry.
+ * @returns {string[]} - Empty if the entry's event type is not counted.
+ */
+export function statsForEntry(sport, entry) {
+  const eventStats = getSport(sport)?.stats ?? {};
+  return Object.hasOwn(eventStats, entry.eventType)
+    ? eventStats[entry.eventType]
+    : [];
+}
+
+/**
+ * Add (delta = 1) or remove (delta = -1) a commentary entry's contribution to its match's stats.
+ * Run it in the same transaction as the change to the entry so the counts never drift.
+ * @param {object} tx - The transaction (or db) to run the queries with.
+ * @param {string} sport - The sport of the match the entry belongs to.
+ * @param {object} entry - The commentary entry.
+ * @param {number} delta - 1 when the entry is added, -1 when it is removed.
+ * @returns {Promise<boolean>} - Whether any stat changed.
+ */
+export async function applyMatchStats(tx, sport, entry, delta) {
+  const stats = statsForEntry(sport, entry);
+  if (stats.length === 0) return false;
+
+  await tx
+    .insert(matchStats)
+    .values(
+      stats.map((stat) => ({
+        matchId: entry.matchId,
+        team: entry.team ?? "",
+        actor: entry.actor ?? "",
+        stat,
+        count: delta,
+      })),
+    )
+    .onConflictDoUpdate({
+      target: [
+        matchStats.matchId,
+        matchStats.team,
+        matchStats.actor,
+        matchStats.stat,
+      ],
+      set: { count: sql`${matchStats.count} + excluded.count` },
+    });
+
+  // Drop counts that went back to zero, e.g. a player whose only event was retracted
+  await tx
+    .delete(matchStats)
+    .where(
+      and(eq(matchStats.matchId, entry.matchId), lte(matchStats.count, 0)),
+    );
+
+  return true;
+}
+
+/**
+ * Recount a match's stats from all of its commentary, e.g. for matches
+ * whose commentary was posted before stats were tracked.
+ * @param {object} tx - The transaction (or db) to run the queries with.
+ * @param {object} match - The match to recount.
+ */
+export async function rebuildMatchStats(tx, match) {
+  await tx.delete(matchStats).where(eq(matchStats.matchId, match.id));
+
+  const entries = await tx
+    .select()
+    .from(commentary)
+    .where(eq(commentary.matchId, match.id))
+    .orderBy(asc(commentary.id));
+
+  for (const entry of entries) {
+    await applyMatchStats(tx, match.sport, entry, 1);
+  }
+}
+
+/**
+ * Read a match's stats, per team and per player.
+ * Every statistic of the sport is listed, with 0 for those not recorded yet.
+ * The home and away teams always come first, even before any event is recorded.
+ * @param {object} match - The match to read the stats of.
+ * @param {object} [executor] - The transaction (or db) to run the query with.
+ * @returns {Promise<{ matchId: number, sport: string, teams: object[], players: object[] }>}
+ */
+export async function readMatchStats(match, executor = db) {
+  const rows = await executor
+    .select()
+    .from(matchStats)
+    .where(eq(matchStats.matchId, match.id));
+
+  const statNames = statNamesForSport(match.sport);
+  const emptyStats = () =>
+    Object.fromEntries(statNames.map((name) => [name, 0]));
+
+  const teams = new Map([
+    [match.homeTeam, { team: match.homeTeam, stats: emptyStats() }],
+    [match.awayTeam, { team: match.awayTeam, stats: emptyStats() }],
+  ]);
+  const players = new Map();
+
+  for (const row of rows) {
+    // Statistics dropped from the sport since they were counted are no longer reported
+    if (!statNames.includes(row.stat)) continue;
+
+    if (row.team) {
+      if (!teams.has(row.team)) {
+        teams.set(row.team, { team: row.team, stats: emptyStats() });
+      }
+      teams.get(row.team).stats[row.stat] += row.count;
+    }
+
+    if (row.actor) {
+      const key = `${row.team}\u0000${row.actor}`;
+      if (!players.has(key)) {
+        players.set(key, {
+          name: row.actor,
+          team: row.team || null,
+          stats: emptyStats(),
+        });
+      }
+      players.get(key).stats[row.stat] += row.count;
+    }
+  }
+
+  return {
+    matchId: match.id,
+    sport: match.sport,
+    teams: [...teams.values()],
+    players: [...players.values()].sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
@@ -1,3 +1,6 @@
+import { and, eq } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { matches } from "../db/schema.js";
 import { MATCH_STATUS } from "../validation/matches.js";
 
 // Determine the current status of a match based on start and end times
@@ -46,3 +49,27 @@ export async function syncMatchStatus(match, updateStatus) {
 
   return match.status; // Return the (possibly updated) status
 }
+
+/**
+ * Persist a match's status if it is out of date with its start and end times.
+ * Only updates if the stored status is still the one read, so when the scheduler
+ * and a request notice the same transition, only one of them reports it.
+ * @param {object} match - The match as read; its status is updated in place.
+ * @returns {Promise<string|null>} - The previous status if this call changed it, otherwise null.
+ */
+export async function transitionMatchStatus(match) {
+  const previousStatus = match.status;
+  let changed = false;
+
+  await syncMatchStatus(match, async (status) => {
+    const updated = await db
+      .update(matches)
+      .set({ status })
+      .where(and(eq(matches.id, match.id), eq(matches.status, previousStatus)))
+      .returning({ id: matches.id });
+
+    changed = updated.length > 0;
+  });
+
+  return changed ? previousStatus : null;
+}
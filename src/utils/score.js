@@ -0,0 +1,168 @@
+import { eq, sql } from "drizzle-orm";
+import { matches } from "../db/schema.js";
+import { getSport } from "../sports/index.js";
+import { MATCH_STATUS } from "../validation/matches.js";
+
+/**
+ * Read the innings number from a cricket period, e.g. "2nd innings" -> 2.
+ * @param {string|null} period - The period of the commentary entry.
+ * @returns {number} - The innings number, or 0 if it cannot be told.
+ */
+function inningsRank(period) {
+  if (!period) return 0;
+
+  const lower = String(period).toLowerCase();
+  const ordinal = lower.match(/(\d+)(st|nd|rd|th)/);
+  if (ordinal) return Number(ordinal[1]) || 0;
+  if (lower.includes("first")) return 1;
+  if (lower.includes("second")) return 2;
+  return 0;
+}
+
+// Compare team names the way they are typed, e.g. "india" and "India"
+function sameTeamName(a, b) {
+  return (
+    typeof a === "string" &&
+    typeof b === "string" &&
+    a.trim().toLowerCase() === b.trim().toLowerCase()
+  );
+}
+
+/**
+ * Work out which side of the match an entry's team is, "home" or "away".
+ * Entries linked to a team are matched by teamId; others by name, ignoring case.
+ * @param {object} match - The match the entry belongs to.
+ * @param {object} entry - The commentary entry, with its team and teamId.
+ * @returns {"home"|"away"|null}
+ */
+function teamSide(match, entry) {
+  if (entry.teamId) {
+    if (entry.teamId === match.homeTeamId) return "home";
+    if (entry.teamId === match.awayTeamId) return "away";
+  }
+
+  if (sameTeamName(entry.team, match.homeTeam)) return "home";
+  if (sameTeamName(entry.team, match.awayTeam)) return "away";
+  return null;
+}
+
+/**
+ * Work out which side bats in a cricket entry's innings (the home team bats first).
+ * @param {object} match - The match the entry belongs to.
+ * @param {object} entry - The commentary entry.
+ * @returns {"home"|"away"|null} - null outside cricket or if the innings cannot be told.
+ */
+function battingSide(match, entry) {
+  if (match.sport.toLowerCase() !== "cricket") return null;
+
+  const innings = inningsRank(entry.period);
+  if (innings === 1) return "home";
+  if (innings === 2) return "away";
+  return null;
+}
+
+/**
+ * Work out which side scored, "home" or "away".
+ * In cricket the batting side of the innings scores, whichever team the entry
+ * names, e.g. a wide described from the bowling side; entries whose innings
+ * cannot be told fall back to their team.
+ * In other sports the entry's team decides.
+ * @param {object} match - The match the entry belongs to.
+ * @param {object} entry - The scoring commentary entry.
+ * @returns {"home"|"away"|null}
+ */
+function scoringSide(match, entry) {
+  return battingSide(match, entry) ?? teamSide(match, entry);
+}
+
+/**
+ * Work out how a commentary entry changes its match's score.
+ * An explicit scoreDelta on the entry is used, e.g. for a provider that sends the
+ * points itself; in cricket its points all go to the batting side of the innings,
+ * as feeds often credit runs to the fielding side. Otherwise the points of each
+ * scoring event type come from the sport definition (see src/sports), e.g. goals
+ * in football, runs, fours and sixes in cricket, baskets in basketball.
+ * @param {object} match - The match the entry belongs to.
+ * @param {object} entry - The commentary entry.
+ * @returns {{ home: number, away: number }} - Zero for both sides if the entry does not score.
+ */
+export function scoreDeltaFromEntry(match, entry) {
+  if (entry.scoreDelta) {
+    const { home, away } = entry.scoreDelta;
+    const batting = battingSide(match, entry);
+    if (!batting) return { home, away };
+
+    return batting === "home"
+      ? { home: home + away, away: 0 }
+      : { home: 0, away: home + away };
+  }
+
+  const sport = getSport(match.sport);
+  const points = sport?.points ?? {};
+  if (!Object.hasOwn(points, entry.eventType)) return { home: 0, away: 0 };
+
+  const side = scoringSide(match, entry);
+  if (!side) return { home: 0, away: 0 };
+
+  // e.g. metadata.runs for 5 runs from overthrows, or metadata.points for an and-one
+  const override = sport.pointsMetadataField
+    ? entry.metadata?.[sport.pointsMetadataField]
+    : undefined;
+  const scored =
+    Number.isInteger(override) && override >= 0
+      ? override
+      : points[entry.eventType];
+
+  return side === "home"
+    ? { home: scored, away: 0 }
+    : { home: 0, away: scored };
+}
+
+/**
+ * Add a score delta to a match's homeScore and awayScore.
+ * A finished match's result is final, like in PATCH /matches/:id/score, so its
+ * score is left as it is. A score never goes below zero, so the delta applied can be smaller than the one
+ * asked for, e.g. a disallowed goal posted after the score was corrected by hand;
+ * store the applied one with the commentary, so that retracting it takes back
+ * exactly what was added.
+ * Run it in the same transaction as the commentary change the delta comes from.
+ * @param {object} tx - The transaction (or db) to run the update with.
+ * @param {number} matchId - The ID of the match to update.
+ * @param {{ home: number, away: number }} delta - Points to add (negative to take away).
+ * @returns {Promise<object>} - { applied, scoredMatch }: the delta applied, and the
+ *   updated match, or null if the score did not change.
+ */
+export async function applyScoreDelta(tx, matchId, delta) {
+  const unchanged = { applied: { home: 0, away: 0 }, scoredMatch: null };
+  if (delta.home === 0 && delta.away === 0) return unchanged;
+
+  // Lock the score until the transaction ends, so the applied delta stays right
+  // and the match cannot finish in between
+  const [current] = await tx
+    .select({
+      status: matches.status,
+      homeScore: matches.homeScore,
+      awayScore: matches.awayScore,
+    })
+    .from(matches)
+    .where(eq(matches.id, matchId))
+    .for("update");
+  if (!current || current.status === MATCH_STATUS.FINISHED) return unchanged;
+
+  const applied = {
+    home: Math.max(delta.home, -current.homeScore),
+    away: Math.max(delta.away, -current.awayScore),
+  };
+  if (applied.home === 0 && applied.away === 0) return unchanged;
+
+  const [updated] = await tx
+    .update(matches)
+    .set({
+      homeScore: sql`${matches.homeScore} + ${applied.home}`,
+      awayScore: sql`${matches.awayScore} + ${applied.away}`,
+    })
+    .where(eq(matches.id, matchId))
+    .returning();
+
+  return { applied, scoredMatch: updated ?? null };
+}
@@ -0,0 +1,166 @@
+import { eq } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { competitions, matches, seasons } from "../db/schema.js";
+import { getSport } from "../sports/index.js";
+import { MATCH_STATUS } from "../validation/matches.js";
+
+// Standings points for sports without their own rules
+const DEFAULT_POINTS_RULES = { win: 3, draw: 1, loss: 0 };
+
+// Build a validation issue in the same shape as zod's, for errors found after parsing
+function issue(path, message) {
+  return { path, message, code: "custom" };
+}
+
+/**
+ * Work out the points a competition awards for a win, a draw and a loss.
+ * The competition's own pointsRules override the sport's (see src/sports).
+ * @param {object} competition - The competition.
+ * @returns {{ win: number, draw: number, loss: number }}
+ */
+export function pointsRulesFor(competition) {
+  return {
+    ...DEFAULT_POINTS_RULES,
+    ...getSport(competition.sport)?.standings,
+    ...competition.pointsRules,
+  };
+}
+
+/**
+ * Compute the league table of a competition's season from its finished matches.
+ * Every team with a match in the season is listed, even before its first result.
+ * Teams are ranked by points, then goal (or run, or point) difference, then scored, then name.
+ * @param {object} competition - The competition the season belongs to.
+ * @param {object} season - The season to compute the standings of.
+ * @param {object} [executor] - The transaction (or db) to run the query with.
+ * @returns {Promise<{ competitionId: number, seasonId: number, pointsRules: object, table: object[] }>}
+ */
+export async function computeStandings(competition, season, executor = db) {
+  const rules = pointsRulesFor(competition);
+
+  const seasonMatches = await executor
+    .select()
+    .from(matches)
+    .where(eq(matches.seasonId, season.id));
+
+  // Matches that predate the teams table have no team IDs; their names identify them
+  const rows = new Map();
+  const rowFor = (id, name) => {
+    const key = id ?? name.toLowerCase();
+    if (!rows.has(key)) {
+      rows.set(key, {
+        team: { id: id ?? null, name },
+        played: 0,
+        won: 0,
+        drawn: 0,
+        lost: 0,
+        for: 0,
+        against: 0,
+        difference: 0,
+        points: 0,
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const match of seasonMatches) {
+    const home = rowFor(match.homeTeamId, match.homeTeam);
+    const away = rowFor(match.awayTeamId, match.awayTeam);
+    if (match.status !== MATCH_STATUS.FINISHED) continue;
+
+    const results = [
+      [home, match.homeScore, match.awayScore],
+      [away, match.awayScore, match.homeScore],
+    ];
+    for (const [row, scored, conceded] of results) {
+      row.played++;
+      row.for += scored;
+      row.against += conceded;
+      row.difference = row.for - row.against;
+
+      if (scored > conceded) {
+        row.won++;
+        row.points += rules.win;
+      } else if (scored === conceded) {
+        row.drawn++;
+        row.points += rules.draw;
+      } else {
+        row.lost++;
+        row.points += rules.loss;
+      }
+    }
+  }
+
+  const table = [...rows.values()]
+    .sort(
+      (a, b) =>
+        b.points - a.points ||
+        b.difference - a.difference ||
+        b.for - a.for ||
+        a.team.name.localeCompare(b.team.name),
+    )
+    .map((row, index) => ({ position: index + 1, ...row }));
+
+  return {
+    competitionId: competition.id,
+    seasonId: season.id,
+    pointsRules: rules,
+    table,
+  };
+}
+
+/**
+ * Check that a match can be played in a season: the season must exist and
+ * belong to a competition of the match's sport.
+ * @param {object} tx - The transaction (or db) to run the query with.
+ * @param {number} seasonId - The ID of the season.
+ * @param {string} sport - The sport of the match.
+ * @returns {Promise<object|null>} - A validation issue, or null if the season fits.
+ */
+export async function checkMatchSeason(tx, seasonId, sport) {
+  const [found] = await tx
+    .select({ sport: competitions.sport })
+    .from(seasons)
+    .innerJoin(competitions, eq(seasons.competitionId, competitions.id))
+    .where(eq(seasons.id, seasonId))
+    .limit(1);
+
+  if (!found) {
+    return issue(["seasonId"], "Season not found");
+  }
+  if (found.sport !== sport.toLowerCase()) {
+    return issue(["seasonId"], `Season is not part of a ${sport} competition`);
+  }
+  return null;
+}
+
+/**
+ * Recompute the standings of a match's season and push them to the clients
+ * following its competition, e.g. once the match is finished.
+ * Failures are logged rather than thrown, as the match change itself went through.
+ * @param {object} match - The match whose result changed.
+ * @param {(standings: object) => void} broadcastStandingsUpdated - Publishes the standings.
+ */
+export async function publishStandingsForMatch(
+  match,
+  broadcastStandingsUpdated,
+) {
+  if (!match.seasonId) return;
+
+  try {
+    const [found] = await db
+      .select({ season: seasons, competition: competitions })
+      .from(seasons)
+      .innerJoin(competitions, eq(seasons.competitionId, competitions.id))
+      .where(eq(seasons.id, match.seasonId))
+      .limit(1);
+
+    // The season may have been deleted in the meantime
+    if (!found) return;
+
+    const standings = await computeStandings(found.competition, found.season);
+    broadcastStandingsUpdated(standings);
+  } catch (err) {
+    console.error(`Failed to refresh standings for match ${match.id}:`, err);
+  }
+}
@@ -0,0 +1,222 @@
+import { and, desc, eq, inArray, or, sql } from "drizzle-orm";
+import { players, teams } from "../db/schema.js";
+
+// Build a validation issue in the same shape as zod's, for errors found after parsing
+function issue(path, message) {
+  return { path, message, code: "custom" };
+}
+
+// Whether a team goes by the given name, ignoring case
+function hasName(team, name) {
+  const lower = name.toLowerCase();
+  return (
+    team.name.toLowerCase() === lower ||
+    team.aliases.some((alias) => alias.toLowerCase() === lower)
+  );
+}
+
+/**
+ * Find a team of a sport by its name or one of its aliases, ignoring case.
+ * A team whose name matches wins over one with a matching alias.
+ * @param {object} tx - The transaction (or db) to run the query with.
+ * @param {string} sport - The sport of the team.
+ * @param {string} name - The name to look for.
+ * @returns {Promise<object|null>}
+ */
+export async function findTeamByName(tx, sport, name) {
+  const nameMatches = sql`lower(${teams.name}) = lower(${name})`;
+
+  const [team] = await tx
+    .select()
+    .from(teams)
+    .where(
+      and(
+        eq(teams.sport, sport.toLowerCase()),
+        or(
+          nameMatches,
+          sql`lower(${name}) in (select lower(alias) from unnest(${teams.aliases}) as alias)`,
+        ),
+      ),
+    )
+    .orderBy(desc(nameMatches))
+    .limit(1);
+
+  return team ?? null;
+}
+
+/**
+ * Resolve the team a match is played by, from its ID or its name.
+ * Names that match no team of the sport create one, so clients that only
+ * know names keep working.
+ * @param {object} tx - The transaction (or db) to run the queries with.
+ * @param {string} sport - The sport of the match.
+ * @param {object} reference
+ * @param {number} [reference.id] - The ID of the team.
+ * @param {string} [reference.name] - The name or an alias of the team.
+ * @returns {Promise<object|null>} - The team, or null if the ID matches no team of the sport.
+ */
+export async function resolveTeam(tx, sport, { id, name }) {
+  if (id !== undefined) {
+    const [team] = await tx
+      .select()
+      .from(teams)
+      .where(and(eq(teams.id, id), eq(teams.sport, sport.toLowerCase())))
+      .limit(1);
+    return team ?? null;
+  }
+
+  const existing = await findTeamByName(tx, sport, name);
+  if (existing) return existing;
+
+  const [created] = await tx
+    .insert(teams)
+    .values({ name, sport: sport.toLowerCase() })
+    .onConflictDoNothing()
+    .returning();
+
+  // Another request may have created it in the meantime
+  return created ?? findTeamByName(tx, sport, name);
+}
+
+/**
+ * Find a team's player by name, ignoring case, registering them if they are not known yet.
+ * @param {object} tx - The transaction (or db) to run the queries with.
+ * @param {number} teamId - The ID of the player's team.
+ * @param {string} name - The player's name.
+ * @returns {Promise<object>}
+ */
+async function findOrCreatePlayer(tx, teamId, name) {
+  const findPlayer = async () => {
+    const [player] = await tx
+      .select()
+      .from(players)
+      .where(
+        and(
+          eq(players.teamId, teamId),
+          sql`lower(${players.name}) = lower(${name})`,
+        ),
+      )
+      .limit(1);
+    return player ?? null;
+  };
+
+  const existing = await findPlayer();
+  if (existing) return existing;
+
+  const [created] = await tx
+    .insert(players)
+    .values({ teamId, name })
+    .onConflictDoNothing()
+    .returning();
+
+  return created ?? findPlayer();
+}
+
+/**
+ * Link a commentary entry to the team and player it is about.
+ * The team can be given by teamId, or by name (or alias) in team; it must be one of
+ * the match's teams. The player can be given by playerId, or by name in actor, in
+ * which case they are registered with the team if they are not known yet.
+ * Entries of matches that predate the teams table keep their free-text team and actor.
+ * @param {object} tx - The transaction (or db) to run the queries with.
+ * @param {object} match - The match the entry belongs to.
+ * @param {object} entry - The entry's team, teamId, actor and playerId.
+ * @returns {Promise<{ links?: object, error?: object }>} - The team, teamId, actor and
+ *   playerId to store, or a validation issue if a reference does not fit the match.
+ */
+export async function linkCommentaryEntry(tx, match, entry) {
+  const matchTeamIds = [match.homeTeamId, match.awayTeamId].filter(Boolean);
+  const matchTeams =
+    matchTeamIds.length > 0
+      ? await tx.select().from(teams).where(inArray(teams.id, matchTeamIds))
+      : [];
+
+  let team = null;
+  if (entry.teamId !== undefined && entry.teamId !== null) {
+    team = matchTeams.find((candidate) => candidate.id === entry.teamId);
+    if (!team) {
+      return {
+        error: issue(["teamId"], "Team is not playing in this match"),
+      };
+    }
+  } else if (entry.team) {
+    team = matchTeams.find((candidate) => hasName(candidate, entry.team));
+  }
+
+  let player = null;
+  if (entry.playerId !== undefined && entry.playerId !== null) {
+    [player] = await tx
+      .select()
+      .from(players)
+      .where(eq(players.id, entry.playerId))
+      .limit(1);
+
+    if (!player) {
+      return { error: issue(["playerId"], "Player not found") };
+    }
+    if (team && player.teamId !== team.id) {
+      return {
+        error: issue(["playerId"], "Player does not play for this team"),
+      };
+    }
+
+    team ??= matchTeams.find((candidate) => candidate.id === player.teamId);
+    if (!team) {
+      return {
+        error: issue(["playerId"], "Player is not playing in this match"),
+      };
+    }
+  } else if (entry.actor && team) {
+    player = await findOrCreatePlayer(tx, team.id, entry.actor);
+  }
+
+  return {
+    links: {
+      // Store the canonical names, e.g. "Arsenal FC" when the entry said "arsenal"
+      team: team?.name ?? entry.team ?? null,
+      teamId: team?.id ?? null,
+      actor: player?.name ?? entry.actor ?? null,
+      playerId: player?.id ?? null,
+    },
+  };
+}
+
+/**
+ * Resolve both teams of a match, from their IDs or names (see resolveTeam).
+ * IDs are checked before any team is created from a name, so a bad ID leaves nothing behind.
+ * @param {object} tx - The transaction (or db) to run the queries with.
+ * @param {string} sport - The sport of the match.
+ * @param {object} references - homeTeam/awayTeam names and homeTeamId/awayTeamId; IDs win.
+ * @returns {Promise<{ homeTeam?: object, awayTeam?: object, error?: object }>}
+ */
+export async function resolveMatchTeams(
+  tx,
+  sport,
+  { homeTeam, awayTeam, homeTeamId, awayTeamId },
+) {
+  const references = {
+    home: { id: homeTeamId, name: homeTeam },
+    away: { id: awayTeamId, name: awayTeam },
+  };
+  const sides = ["home", "away"].sort(
+    (a, b) =>
+      Number(references[a].id === undefined) -
+      Number(references[b].id === undefined),
+  );
+
+  const resolved = {};
+  for (const side of sides) {
+    resolved[side] = await resolveTeam(tx, sport, references[side]);
+    if (!resolved[side]) {
+      return {
+        error: issue([`${side}TeamId`], `Team not found for ${sport}`),
+      };
+    }
+  }
+
+  if (resolved.home.id === resolved.away.id) {
+    return { error: issue(["awayTeam"], "A team cannot play itself") };
+  }
+
+  return { homeTeam: resolved.home, awayTeam: resolved.away };
+}
@@ -0,0 +1,180 @@
+import { createHmac, randomBytes } from "crypto";
+import { and, arrayOverlaps, eq } from "drizzle-orm";
+import { db } from "../db/db.js";
+import { webhookDeliveries, webhooks } from "../db/schema.js";
+
+// Prefix that makes webhook secrets easy to tell apart from API keys
+const WEBHOOK_SECRET_PREFIX = "whsec_";
+
+// Give up on a delivery after this many attempts
+export const MAX_DELIVERY_ATTEMPTS = 8;
+
+// Delay before the first retry, doubled after every failed attempt
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30 seconds
+
+// Longest delay between two attempts
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // 1 hour
+
+// How long to wait for a partner's server to respond
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// Keep this much of an error response in the delivery log
+const MAX_LOGGED_RESPONSE_LENGTH = 500;
+
+// Generate a new random signing secret for a webhook
+export function generateWebhookSecret() {
+  return `${WEBHOOK_SECRET_PREFIX}${randomBytes(24).toString("base64url")}`;
+}
+
+/**
+ * Sign a delivery so the receiver can check it came from us and was not altered.
+ * The signature is an HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret,
+ * sent as "t=<timestamp>,v1=<hex signature>". Receivers should also reject old
+ * timestamps, so a captured delivery cannot be replayed against them.
+ * @param {string} secret - The webhook's signing secret.
+ * @param {string} body - The exact request body.
+ * @param {number} timestamp - Unix time in seconds.
+ * @returns {string} - The X-Webhook-Signature header value.
+ */
+export function signWebhookPayload(secret, body, timestamp) {
+  const signature = createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * How long to wait before retrying a delivery, doubling after every failed attempt:
+ * 30s, 1m, 2m, 4m, ... up to an hour.
+ * @param {number} attempts - The number of attempts made so far.
+ * @returns {number} - The delay in milliseconds.
+ */
+export function retryDelayMs(attempts) {
+  return Math.min(
+    BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+    MAX_RETRY_DELAY_MS,
+  );
+}
+
+/**
+ * The event types a webhook can be subscribed to in order to receive an event.
+ * Webhooks subscribed to "commentary" also receive the entries of commentary
+ * batches, e.g. from bulk uploads, so they never miss commentary.
+ * @param {string} type - The event type.
+ * @returns {string[]}
+ */
+function subscribedTypesFor(type) {
+  return type === "commentary_batch" ? [type, "commentary"] : [type];
+}
+
+/**
+ * The deliveries of an event to one webhook.
+ * A commentary batch goes to webhooks subscribed to "commentary_batch" as is, and
+ * as one "commentary" delivery per entry to those only subscribed to "commentary".
+ * @param {object} webhook - The webhook, with its events.
+ * @param {object} payload - The event, e.g. { type: "commentary", data }.
+ * @returns {object[]} - The delivery rows to insert.
+ */
+function deliveriesFor(webhook, payload) {
+  if (
+    payload.type === "commentary_batch" &&
+    !webhook.events.includes(payload.type)
+  ) {
+    return payload.data.entries.map((entry) => ({
+      webhookId: webhook.id,
+      eventType: "commentary",
+      payload: { type: "commentary", data: entry },
+    }));
+  }
+
+  return [{ webhookId: webhook.id, eventType: payload.type, payload }];
+}
+
+/**
+ * Queue an event for every active webhook subscribed to its type.
+ * Called once per published event, by the instance that published it; the webhook
+ * worker then sends the deliveries (see src/jobs/webhook-worker.js).
+ * Failures are logged rather than thrown, as the event itself went out.
+ * @param {object} message - The message published through the broker.
+ * @param {boolean} message.restricted - Whether it carries premium match content.
+ * @param {object} message.payload - The event, e.g. { type: "commentary", data }.
+ */
+export async function enqueueWebhookDeliveries({ restricted, payload }) {
+  try {
+    const conditions = [
+      eq(webhooks.active, true),
+      arrayOverlaps(webhooks.events, subscribedTypesFor(payload.type)),
+    ];
+    // Premium match content only goes to webhooks allowed to receive it
+    if (restricted) conditions.push(eq(webhooks.premium, true));
+
+    const subscribed = await db
+      .select({ id: webhooks.id, events: webhooks.events })
+      .from(webhooks)
+      .where(and(...conditions));
+
+    if (subscribed.length === 0) return;
+
+    await db
+      .insert(webhookDeliveries)
+      .values(subscribed.flatMap((webhook) => deliveriesFor(webhook, payload)));
+  } catch (err) {
+    console.error(`Failed to queue webhooks for ${payload.type}:`, err);
+  }
+}
+
+/**
+ * Send one delivery to its webhook.
+ * The body carries the delivery ID, so receivers can ignore deliveries they already
+ * processed when a retry or replay sends one again.
+ * @param {object} webhook - The webhook to deliver to.
+ * @param {object} delivery - The delivery, with the event in payload.
+ * @returns {Promise<{ ok: boolean, responseStatus: number|null, error: string|null }>}
+ */
+export async function sendWebhookDelivery(webhook, delivery) {
+  const body = JSON.stringify({
+    id: delivery.id,
+    type: delivery.eventType,
+    createdAt: delivery.createdAt,
+    data: delivery.payload.data,
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "sportz-webhooks",
+        "X-Webhook-Id": String(delivery.id),
+        "X-Webhook-Event": delivery.eventType,
+        "X-Webhook-Signature": signWebhookPayload(
+          webhook.secret,
+          body,
+          timestamp,
+        ),
+      },
+      body,
+      // Redirects are not followed, so a delivery only ever goes to the registered URL
+      redirect: "manual",
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+
+    if (response.ok) {
+      return { ok: true, responseStatus: response.status, error: null };
+    }
+
+    const text = await response.text().catch(() => "");
+    return {
+      ok: false,
+      responseStatus: response.status,
+      error: `HTTP ${response.status}: ${text}`.slice(
+        0,
+        MAX_LOGGED_RESPONSE_LENGTH,
+      ),
+    };
+  } catch (err) {
+    // fetch reports network errors, e.g. ECONNREFUSED, as the cause of a generic TypeError
+    return { ok: false, responseStatus: null, error: String(err.cause ?? err) };
+  }
+}
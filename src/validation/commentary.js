@@ -1,19 +1,139 @@
 import { z } from "zod";
+import { getSport } from "../sports/index.js";
 
 // Query schema for listing commentary
-export const listCommentaryQuerySchema = z.object({
+// "before" pages back to older entries, "after" pages forward to newer ones
+export const listCommentaryQuerySchema = z
+  .object({
+    limit: z.coerce.number().int().positive().max(100).optional(),
+    before: z.coerce.number().int().positive().optional(),
+    after: z.coerce.number().int().nonnegative().optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (data.before !== undefined && data.after !== undefined) {
+      ctx.addIssue({
+        path: ["before"],
+        message: "before and after cannot be used together",
+        code: "custom",
+      });
+    }
+  });
+
+// Query schema for searching commentary across matches
+// q uses web search syntax: "quoted phrases", OR, and -excluded words
+export const searchCommentaryQuerySchema = z.object({
+  q: z.string().trim().min(1).max(200),
+  sport: z.string().trim().min(1).optional(),
+  matchId: z.coerce.number().int().positive().optional(),
+  // The team the entry is about, by name (case-insensitive) or ID
+  team: z.string().trim().min(1).optional(),
+  teamId: z.coerce.number().int().positive().optional(),
+  eventType: z.string().trim().min(1).optional(),
+  tag: z.string().trim().min(1).optional(),
   limit: z.coerce.number().int().positive().max(100).optional(),
+  offset: z.coerce.number().int().nonnegative().optional(),
+});
+
+// Parameter schema for routes addressing a single commentary entry of a match
+export const commentaryIdParamSchema = z.object({
+  id: z.coerce.number().int().positive(),
+  commentaryId: z.coerce.number().int().positive(),
 });
 
+// Points one entry can add to or take from a side, e.g. a six or a disallowed goal
+const scoreDeltaPoints = z.number().int().min(-10).max(10).default(0);
+
 // Schema for creating a commentary entry
 export const createCommentarySchema = z.object({
   minute: z.number().int().nonnegative(),
-  sequence: z.number().int().optional(),
+  // The server numbers entries itself; a client may send the sequence it expects
+  // the entry to get, and the entry is rejected if another one took it first
+  sequence: z.number().int().positive().optional(),
   period: z.string().optional(),
   eventType: z.string().optional(),
   actor: z.string().optional(),
   team: z.string().optional(),
+  // Link to a player or team record directly, instead of by actor or team name
+  playerId: z.number().int().positive().optional(),
+  teamId: z.number().int().positive().optional(),
   message: z.string().min(1),
   metadata: z.record(z.string(), z.any()).optional(),
   tags: z.array(z.string()).optional(),
+  // Points the entry scored, when the sender works them out itself; otherwise the
+  // server does from the sport's scoring events (see src/utils/score.js)
+  // Negative points take back an earlier score, e.g. a disallowed goal
+  scoreDelta: z
+    .strictObject({
+      home: scoreDeltaPoints,
+      away: scoreDeltaPoints,
+    })
+    .optional(),
+});
+
+// How a bulk upload treats invalid lines
+// atomic: any invalid line rejects the whole batch
+// partial: valid lines are inserted and invalid ones reported
+export const BULK_COMMENTARY_MODE = {
+  ATOMIC: "atomic",
+  PARTIAL: "partial",
+};
+
+// Query schema for bulk commentary uploads
+export const bulkCommentaryQuerySchema = z.object({
+  mode: z
+    .enum(Object.values(BULK_COMMENTARY_MODE))
+    .default(BULK_COMMENTARY_MODE.ATOMIC),
 });
+
+// Reject updates that change nothing
+function requireAnyField(data, ctx) {
+  if (Object.values(data).every((value) => value === undefined)) {
+    ctx.addIssue({
+      path: [],
+      message: "At least one field must be provided",
+      code: "custom",
+    });
+  }
+}
+
+// Schema for correcting a commentary entry
+// Every field is optional, but at least one must be provided
+// The sequence is fixed when the entry is posted and cannot be changed
+export const updateCommentarySchema = createCommentarySchema
+  .omit({ sequence: true })
+  .partial()
+  .superRefine(requireAnyField);
+
+// Narrow eventType, period and metadata to what a sport allows (see src/sports)
+// Sports without a definition keep the generic schema
+function restrictToSport(schema, sportName) {
+  const sport = getSport(sportName);
+  if (!sport) return schema;
+
+  return schema.extend({
+    eventType: z.enum(sport.eventTypes).optional(),
+    period: z.enum(sport.periods).optional(),
+    metadata: sport.metadata.optional(),
+  });
+}
+
+/**
+ * Schema for creating a commentary entry for a match of the given sport.
+ * @param {string} sport - The sport of the match, e.g. "football".
+ * @returns {z.ZodType}
+ */
+export function createCommentarySchemaForSport(sport) {
+  return restrictToSport(createCommentarySchema, sport);
+}
+
+/**
+ * Schema for correcting a commentary entry of a match of the given sport.
+ * @param {string} sport - The sport of the match, e.g. "football".
+ * @returns {z.ZodType}
+ */
+export function updateCommentarySchemaForSport(sport) {
+  return restrictToSport(createCommentarySchema, sport)
+    .omit({ sequence: true })
+    .partial()
+    .superRefine(requireAnyField);
+}
@@ -0,0 +1,55 @@
+import { z } from "zod";
+
+// Helper schemas
+const isoDateStringSchema = z.iso.datetime();
+
+// Points for a win, a draw and a loss; any that are left out come from the sport
+const pointsRulesSchema = z.strictObject({
+  win: z.number().int().nonnegative().optional(),
+  draw: z.number().int().nonnegative().optional(),
+  loss: z.number().int().nonnegative().optional(),
+});
+
+// Query schemas
+export const listCompetitionsQuerySchema = z.object({
+  sport: z.string().trim().min(1).optional(),
+});
+
+export const standingsQuerySchema = z.object({
+  // The latest season by default
+  seasonId: z.coerce.number().int().positive().optional(),
+});
+
+// Parameter schemas
+export const competitionIdParamSchema = z.object({
+  id: z.coerce.number().int().positive(),
+});
+
+// Body schemas
+// Sports are stored lowercase, like teams'
+export const createCompetitionSchema = z.object({
+  name: z.string().trim().min(1),
+  sport: z.string().trim().min(1).toLowerCase(),
+  pointsRules: pointsRulesSchema.optional(),
+});
+
+export const createSeasonSchema = z
+  .object({
+    // e.g. "2025/26"
+    name: z.string().trim().min(1),
+    startDate: isoDateStringSchema.optional(),
+    endDate: isoDateStringSchema.optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (
+      data.startDate &&
+      data.endDate &&
+      new Date(data.endDate) <= new Date(data.startDate)
+    ) {
+      ctx.addIssue({
+        path: ["endDate"],
+        message: "endDate must be after startDate",
+        code: "custom",
+      });
+    }
+  });
@@ -7,31 +7,75 @@ export const MATCH_STATUS = {
   FINISHED: "finished",
 };
 
+// Fields matches can be sorted by
+export const MATCH_SORT_FIELDS = ["createdAt", "startTime"];
+
+// Helper schemas
+const isoDateStringSchema = z.iso.datetime();
+
 // Query schemas
-export const listMatchesQuerySchema = z.object({
-  limit: z.coerce.number().int().positive().max(100).optional(),
-});
+export const listMatchesQuerySchema = z
+  .object({
+    limit: z.coerce.number().int().positive().max(100).optional(),
+    offset: z.coerce.number().int().nonnegative().optional(),
+    sport: z.string().trim().min(1).optional(),
+    status: z.enum(Object.values(MATCH_STATUS)).optional(),
+    // Matches either the home or the away team
+    team: z.string().trim().min(1).optional(),
+    // Matches of one competition season
+    seasonId: z.coerce.number().int().positive().optional(),
+    // startTime range, inclusive on both ends
+    from: isoDateStringSchema.optional(),
+    to: isoDateStringSchema.optional(),
+    sort: z.enum(MATCH_SORT_FIELDS).optional(),
+    order: z.enum(["asc", "desc"]).optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (data.from && data.to && new Date(data.to) < new Date(data.from)) {
+      ctx.addIssue({
+        path: ["to"],
+        message: "to must not be before from",
+        code: "custom",
+      });
+    }
+  });
 
 // Parameter schemas
 export const matchIdParamSchema = z.object({
   id: z.coerce.number().int().positive(),
 });
 
-// Helper schemas
-const isoDateStringSchema = z.iso.datetime();
-
 // Body schemas
+// Teams are given by ID (homeTeamId/awayTeamId) or by name (homeTeam/awayTeam)
 export const createMatchSchema = z
   .object({
     sport: z.string().min(1),
-    homeTeam: z.string().min(1),
-    awayTeam: z.string().min(1),
+    homeTeam: z.string().min(1).optional(),
+    awayTeam: z.string().min(1).optional(),
+    homeTeamId: z.number().int().positive().optional(),
+    awayTeamId: z.number().int().positive().optional(),
     startTime: isoDateStringSchema,
     endTime: isoDateStringSchema,
     homeScore: z.coerce.number().int().nonnegative().optional(),
     awayScore: z.coerce.number().int().nonnegative().optional(),
+    isPremium: z.boolean().optional(),
+    // The competition season the match counts towards
+    seasonId: z.number().int().positive().optional(),
   })
   .superRefine((data, ctx) => {
+    for (const side of ["home", "away"]) {
+      if (
+        data[`${side}Team`] === undefined &&
+        data[`${side}TeamId`] === undefined
+      ) {
+        ctx.addIssue({
+          path: [`${side}Team`],
+          message: `Either ${side}Team or ${side}TeamId must be provided`,
+          code: "custom",
+        });
+      }
+    }
+
     const start = new Date(data.startTime);
     const end = new Date(data.endTime);
 
@@ -44,6 +88,30 @@ export const createMatchSchema = z
     }
   });
 
+// Every field is optional, but at least one must be provided
+export const updateMatchSchema = z
+  .object({
+    sport: z.string().min(1).optional(),
+    homeTeam: z.string().min(1).optional(),
+    awayTeam: z.string().min(1).optional(),
+    homeTeamId: z.number().int().positive().optional(),
+    awayTeamId: z.number().int().positive().optional(),
+    startTime: isoDateStringSchema.optional(),
+    endTime: isoDateStringSchema.optional(),
+    isPremium: z.boolean().optional(),
+    // null takes the match out of its season
+    seasonId: z.number().int().positive().nullable().optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (Object.values(data).every((value) => value === undefined)) {
+      ctx.addIssue({
+        path: [],
+        message: "At least one field must be provided",
+        code: "custom",
+      });
+    }
+  });
+
 export const updateScoreSchema = z.object({
   homeScore: z.coerce.number().int().nonnegative(),
   awayScore: z.coerce.number().int().nonnegative(),
@@ -0,0 +1,45 @@
+import { z } from "zod";
+
+// Query schemas
+export const listTeamsQuerySchema = z.object({
+  limit: z.coerce.number().int().positive().max(100).optional(),
+  offset: z.coerce.number().int().nonnegative().optional(),
+  sport: z.string().trim().min(1).optional(),
+  // Matches the team's name or one of its aliases
+  search: z.string().trim().min(1).optional(),
+});
+
+// Parameter schemas
+export const teamIdParamSchema = z.object({
+  id: z.coerce.number().int().positive(),
+});
+
+// Body schemas
+// Sports are stored lowercase so "Football" and "football" teams are the same
+export const createTeamSchema = z.object({
+  name: z.string().trim().min(1),
+  sport: z.string().trim().min(1).toLowerCase(),
+  shortName: z.string().trim().min(1).optional(),
+  // Other names the team goes by, e.g. "Arsenal" for "Arsenal FC"
+  aliases: z.array(z.string().trim().min(1)).optional(),
+});
+
+// Every field is optional, but at least one must be provided
+export const updateTeamSchema = createTeamSchema
+  .omit({ sport: true })
+  .partial()
+  .superRefine((data, ctx) => {
+    if (Object.values(data).every((value) => value === undefined)) {
+      ctx.addIssue({
+        path: [],
+        message: "At least one field must be provided",
+        code: "custom",
+      });
+    }
+  });
+
+export const createPlayerSchema = z.object({
+  name: z.string().trim().min(1),
+  number: z.number().int().nonnegative().optional(),
+  position: z.string().trim().min(1).optional(),
+});
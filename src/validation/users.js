@@ -0,0 +1,20 @@
+import { z } from "zod";
+
+// Constants for user roles
+export const USER_ROLES = {
+  ADMIN: "admin",
+  COMMENTATOR: "commentator",
+  VIEWER: "viewer",
+};
+
+// Parameter schemas
+export const userIdParamSchema = z.object({
+  userId: z.coerce.number().int().positive(),
+});
+
+// Body schemas
+export const createUserSchema = z.object({
+  name: z.string().trim().min(1),
+  role: z.enum(Object.values(USER_ROLES)),
+  premium: z.boolean().optional(),
+});
@@ -0,0 +1,83 @@
+import { z } from "zod";
+
+// Event types a webhook can subscribe to, the same events the WebSocket server emits
+export const WEBHOOK_EVENT_TYPES = [
+  "match_created",
+  "match_updated",
+  "match_deleted",
+  "match_status_changed",
+  "commentary",
+  "commentary_batch",
+  "commentary_updated",
+  "commentary_deleted",
+  "score_update",
+  "stats_update",
+  "standings_updated",
+];
+
+// Constants for webhook delivery status
+export const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+// Helper schemas
+// Only http(s) endpoints can receive deliveries
+const webhookUrlSchema = z.url({ protocol: /^https?$/ });
+
+const webhookEventsSchema = z
+  .array(z.enum(WEBHOOK_EVENT_TYPES))
+  .min(1)
+  .transform((events) => [...new Set(events)]);
+
+// Query schemas
+export const listWebhookDeliveriesQuerySchema = z.object({
+  limit: z.coerce.number().int().positive().max(100).optional(),
+  // Pages back to deliveries older than this ID
+  before: z.coerce.number().int().positive().optional(),
+  status: z.enum(Object.values(WEBHOOK_DELIVERY_STATUS)).optional(),
+});
+
+// Parameter schemas
+export const webhookIdParamSchema = z.object({
+  id: z.coerce.number().int().positive(),
+});
+
+// Body schemas
+export const createWebhookSchema = z.object({
+  url: webhookUrlSchema,
+  events: webhookEventsSchema,
+  description: z.string().trim().min(1).optional(),
+  premium: z.boolean().optional(),
+});
+
+// Every field is optional, but at least one change must be provided
+// rotateSecret issues a new signing secret, returned once in the response;
+// rotateSecret: false on its own changes nothing and is rejected
+export const updateWebhookSchema = z
+  .object({
+    url: webhookUrlSchema.optional(),
+    events: webhookEventsSchema.optional(),
+    description: z.string().trim().min(1).nullable().optional(),
+    active: z.boolean().optional(),
+    premium: z.boolean().optional(),
+    rotateSecret: z.boolean().optional(),
+  })
+  .superRefine(({ rotateSecret, ...changes }, ctx) => {
+    if (
+      !rotateSecret &&
+      Object.values(changes).every((value) => value === undefined)
+    ) {
+      ctx.addIssue({
+        path: [],
+        message: "At least one field must be provided",
+        code: "custom",
+      });
+    }
+  });
+
+// Replays the given deliveries, or every failed delivery of the webhook
+export const replayWebhookDeliveriesSchema = z.object({
+  deliveryIds: z.array(z.number().int().positive()).min(1).optional(),
+});
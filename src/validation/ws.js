@@ -0,0 +1,82 @@
+import { z } from "zod";
+
+// Version of the WebSocket message protocol spoken by this server
+export const WS_PROTOCOL_VERSION = 1;
+
+// Protocol versions a client may ask for in a "hello" message
+export const SUPPORTED_WS_PROTOCOL_VERSIONS = [1];
+
+// Machine-readable error codes sent in "error" messages
+export const WS_ERROR_CODES = {
+  INVALID_JSON: "INVALID_JSON",
+  INVALID_MSGPACK: "INVALID_MSGPACK",
+  INVALID_MESSAGE: "INVALID_MESSAGE",
+  UNKNOWN_TYPE: "UNKNOWN_TYPE",
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+  INVALID_CHANNEL: "INVALID_CHANNEL",
+  TOO_MANY_CHANNELS: "TOO_MANY_CHANNELS",
+  MATCH_NOT_FOUND: "MATCH_NOT_FOUND",
+  FORBIDDEN: "FORBIDDEN",
+  REPLAY_IN_PROGRESS: "REPLAY_IN_PROGRESS",
+  REPLAY_FAILED: "REPLAY_FAILED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// Helper schemas
+// Client-supplied request ID, echoed back in the reply so clients can match them up
+const requestIdSchema = z
+  .union([z.string().min(1).max(64), z.number().int()])
+  .optional();
+
+const channelsSchema = z.array(z.string().min(1)).min(1);
+
+// Every message type must name its channels, or a matchId as shorthand for "match:<id>"
+function requireChannels(data, ctx) {
+  if (!data.channels && data.matchId === undefined) {
+    ctx.addIssue({
+      path: ["channels"],
+      message: "Either channels or matchId must be provided",
+      code: "custom",
+    });
+  }
+}
+
+// Message schemas
+export const helloMessageSchema = z.object({
+  type: z.literal("hello"),
+  id: requestIdSchema,
+  protocolVersion: z.number().int().positive(),
+});
+
+export const subscribeMessageSchema = z
+  .object({
+    type: z.literal("subscribe"),
+    id: requestIdSchema,
+    channels: channelsSchema.optional(),
+    matchId: z.number().int().positive().optional(),
+    // ID of the last commentary entry the client has seen, to replay what it missed
+    since: z.number().int().nonnegative().optional(),
+  })
+  .superRefine(requireChannels);
+
+export const unsubscribeMessageSchema = z
+  .object({
+    type: z.literal("unsubscribe"),
+    id: requestIdSchema,
+    channels: channelsSchema.optional(),
+    matchId: z.number().int().positive().optional(),
+  })
+  .superRefine(requireChannels);
+
+export const pingMessageSchema = z.object({
+  type: z.literal("ping"),
+  id: requestIdSchema,
+});
+
+// Schema for each message type a client may send
+export const clientMessageSchemas = {
+  hello: helloMessageSchema,
+  subscribe: subscribeMessageSchema,
+  unsubscribe: unsubscribeMessageSchema,
+  ping: pingMessageSchema,
+};
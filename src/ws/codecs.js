@@ -0,0 +1,69 @@
+import { decode, encode } from "@msgpack/msgpack";
+
+// Wire formats a WebSocket client can receive messages in
+export const MESSAGE_FORMATS = {
+  JSON: "json",
+  MSGPACK: "msgpack",
+};
+
+// Subprotocols a client can offer to pick a format; JSON is used when it offers neither
+const FORMAT_PROTOCOLS = new Set(Object.values(MESSAGE_FORMATS));
+
+/**
+ * Pick the message format from the subprotocols offered by a client, in its order of preference.
+ * @param {string[]} protocols - The subprotocols offered by the client.
+ * @returns {string|undefined} - The matching subprotocol, if any.
+ */
+export function findFormatProtocol(protocols) {
+  return protocols.find((protocol) => FORMAT_PROTOCOLS.has(protocol));
+}
+
+/**
+ * Encode a message in the given format.
+ * JSON is sent as a text frame, MessagePack as a binary frame.
+ * Undefined fields are left out in both formats.
+ * MessagePack carries the payload as JSON sees it, e.g. Dates as ISO strings rather
+ * than timestamps, so a field has the same type in both formats, whichever broker
+ * delivered the message and whether it is live or replayed.
+ * @param {object} payload - The message to encode.
+ * @param {string} format - One of MESSAGE_FORMATS.
+ * @returns {string|Uint8Array}
+ */
+export function encodeMessage(payload, format) {
+  if (format === MESSAGE_FORMATS.MSGPACK) {
+    return encode(JSON.parse(JSON.stringify(payload)));
+  }
+  return JSON.stringify(payload);
+}
+
+/**
+ * Create an encoder for a message that is about to be sent to many clients.
+ * The message is encoded at most once per format, however many clients receive it.
+ * @param {object} payload - The message to encode.
+ * @returns {(format: string) => string|Uint8Array}
+ */
+export function createMessageEncoder(payload) {
+  const encoded = new Map();
+
+  return (format) => {
+    if (!encoded.has(format)) {
+      encoded.set(format, encodeMessage(payload, format));
+    }
+    return encoded.get(format);
+  };
+}
+
+/**
+ * Decode a message received from a client.
+ * Text frames are parsed as JSON and binary frames as MessagePack, whatever format
+ * the client receives messages in.
+ * @param {Buffer} data - The raw message data received.
+ * @param {boolean} isBinary - Whether it arrived in a binary frame.
+ * @returns {unknown} - The decoded message. Throws if it cannot be decoded.
+ */
+export function decodeMessage(data, isBinary) {
+  if (isBinary) {
+    return decode(data);
+  }
+  return JSON.parse(data.toString());
+}
@@ -0,0 +1,125 @@
+import { WebSocket } from "ws";
+
+// Close code sent to clients that fall too far behind (4000-4999 are free for applications)
+export const SLOW_CONSUMER_CLOSE_CODE = 4008;
+
+// Stop writing to a socket once this many bytes are waiting to go out
+const DEFAULT_HIGH_WATER_MARK = 256 * 1024; // 256KB
+
+// Disconnect a client once this many bytes are waiting for it, sent or queued
+const DEFAULT_MAX_QUEUED_BYTES = 2 * 1024 * 1024; // 2MB
+
+// Counters for how often clients fall behind, shared by every socket
+export const sendQueueMetrics = {
+  messagesSent: 0,
+  messagesQueued: 0,
+  messagesCoalesced: 0,
+  backpressureEvents: 0,
+  slowConsumerDisconnects: 0,
+};
+
+/**
+ * Create the outgoing message queue for a WebSocket client.
+ * Messages are written straight to the socket until its buffer passes the high-water
+ * mark; after that they wait in the queue and are written as the buffer drains.
+ * While queued, a message with a coalesce key replaces any older one with the same key,
+ * so a client that is behind only receives the latest state (e.g. the current score).
+ * A client whose backlog exceeds maxQueuedBytes is disconnected with SLOW_CONSUMER_CLOSE_CODE.
+ * @param {WebSocket} socket - The WebSocket connection to write to.
+ * @param {object} [options]
+ * @param {number} [options.highWaterMark] - Buffered bytes above which messages are queued.
+ * @param {number} [options.maxQueuedBytes] - Buffered and queued bytes above which the client is disconnected.
+ * @returns {{ send: Function, clear: Function, size: Function, bytes: Function }}
+ */
+export function createSendQueue(
+  socket,
+  {
+    highWaterMark = DEFAULT_HIGH_WATER_MARK,
+    maxQueuedBytes = DEFAULT_MAX_QUEUED_BYTES,
+  } = {},
+) {
+  // Messages waiting for the socket buffer to drain: { data, size, coalesceKey }
+  const queue = [];
+  let queuedBytes = 0;
+
+  /**
+   * Write queued messages while the socket has room for them.
+   * Called whenever a write completes, i.e. whenever the buffer may have drained.
+   */
+  function flush() {
+    while (
+      queue.length > 0 &&
+      socket.readyState === WebSocket.OPEN &&
+      socket.bufferedAmount < highWaterMark
+    ) {
+      const entry = queue.shift();
+      queuedBytes -= entry.size;
+      write(entry.data);
+    }
+  }
+
+  function write(data) {
+    sendQueueMetrics.messagesSent++;
+    socket.send(data, (err) => {
+      if (!err) flush();
+    });
+  }
+
+  /**
+   * Send a message to the client, queuing it if the client is behind.
+   * @param {string|Buffer} data - The encoded message.
+   * @param {string} [coalesceKey] - Messages sharing this key supersede each other while queued.
+   */
+  function send(data, coalesceKey) {
+    // Only send if the socket is open
+    if (socket.readyState !== WebSocket.OPEN) return;
+
+    if (queue.length === 0 && socket.bufferedAmount < highWaterMark) {
+      write(data);
+      return;
+    }
+
+    if (queue.length === 0) {
+      sendQueueMetrics.backpressureEvents++;
+    }
+
+    // Drop the superseded message and append the new one, so it keeps its place after
+    // everything that was sent before it
+    if (coalesceKey) {
+      const index = queue.findIndex(
+        (entry) => entry.coalesceKey === coalesceKey,
+      );
+      if (index !== -1) {
+        queuedBytes -= queue[index].size;
+        queue.splice(index, 1);
+        sendQueueMetrics.messagesCoalesced++;
+      }
+    }
+
+    const size = Buffer.byteLength(data);
+    queue.push({ data, size, coalesceKey });
+    queuedBytes += size;
+    sendQueueMetrics.messagesQueued++;
+
+    if (socket.bufferedAmount + queuedBytes > maxQueuedBytes) {
+      sendQueueMetrics.slowConsumerDisconnects++;
+      clear();
+      socket.close(SLOW_CONSUMER_CLOSE_CODE, "Slow consumer");
+    }
+  }
+
+  /**
+   * Drop everything still queued, e.g. when the socket closes.
+   */
+  function clear() {
+    queue.length = 0;
+    queuedBytes = 0;
+  }
+
+  return {
+    send,
+    clear,
+    size: () => queue.length,
+    bytes: () => queuedBytes,
+  };
+}
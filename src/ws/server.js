@@ -1,132 +1,578 @@
 import { WebSocketServer, WebSocket } from "ws";
+import { inArray } from "drizzle-orm";
 import { wsArcjet } from "../arcjet.js";
+import { db } from "../db/db.js";
+import { matches } from "../db/schema.js";
+import {
+  MAX_CHANNELS_PER_CLIENT,
+  matchChannel,
+  matchIdFromChannel,
+  normalizeChannel,
+} from "../events/channels.js";
+import {
+  readCommentarySince,
+  skipReplayedCommentary,
+} from "../events/replay.js";
+import { canAccessMatch, findUserByApiKey } from "../middleware/auth.js";
+import { createSendQueue, sendQueueMetrics } from "./send-queue.js";
+import {
+  MESSAGE_FORMATS,
+  createMessageEncoder,
+  decodeMessage,
+  encodeMessage,
+  findFormatProtocol,
+} from "./codecs.js";
+import {
+  SUPPORTED_WS_PROTOCOL_VERSIONS,
+  WS_ERROR_CODES,
+  WS_PROTOCOL_VERSION,
+  clientMessageSchemas,
+} from "../validation/ws.js";
+
+// Clients following each channel, e.g. "match:42" or "sport:football"
+const channelSubscribers = new Map();
+
+// Prefix of the Sec-WebSocket-Protocol entry that carries an API key, e.g. "token.sk_..."
+const TOKEN_PROTOCOL_PREFIX = "token.";
+
+// Events carrying the latest state of a match; for a client that is behind,
+// a newer one supersedes any still waiting in its send queue
+const SUPERSEDABLE_EVENT_TYPES = new Set([
+  "score_update",
+  "stats_update",
+  "match_status_changed",
+  "match_updated",
+]);
 
-const matchSubscribers = new Map();
+/**
+ * Read the API key a client connects with, from the "token" query parameter
+ * or a "token.<apiKey>" entry in the Sec-WebSocket-Protocol header.
+ * Browsers cannot set headers on WebSocket requests, hence these two options.
+ * The token entry is never selected as the connection's protocol, so the key is
+ * not echoed back in the response; browser clients sending it must also offer a
+ * message format, e.g. new WebSocket(url, ["json", "token.sk_..."]).
+ * @param {import("http").IncomingMessage} req - The upgrade request.
+ * @param {URLSearchParams} searchParams - The parsed query string of the request.
+ * @returns {string|null}
+ */
+function readSocketToken(req, searchParams) {
+  const queryToken = searchParams.get("token");
+  if (queryToken) return queryToken;
+
+  const protocols = (req.headers["sec-websocket-protocol"] ?? "")
+    .split(",")
+    .map((protocol) => protocol.trim());
+  const tokenProtocol = protocols.find((protocol) =>
+    protocol.startsWith(TOKEN_PROTOCOL_PREFIX),
+  );
+
+  return tokenProtocol
+    ? tokenProtocol.slice(TOKEN_PROTOCOL_PREFIX.length)
+    : null;
+}
+
+/**
+ * Pick the subprotocol to answer with: a message format ("msgpack" or "json") if one
+ * was offered, otherwise anything but the token entry.
+ * The token entry is never selected: the selected protocol is sent back in the
+ * Sec-WebSocket-Protocol response header, where proxies and access logs can record it.
+ * Browsers drop the connection if they offered protocols and none is selected.
+ * @param {Set<string>} protocols - The protocols offered by the client.
+ * @returns {string|false}
+ */
+function selectProtocol(protocols) {
+  const offered = [...protocols];
+  return (
+    findFormatProtocol(offered) ??
+    offered.find((protocol) => !protocol.startsWith(TOKEN_PROTOCOL_PREFIX)) ??
+    false
+  );
+}
 
 /**
- * Subscribe a WebSocket client to receive updates for a specific match.
- * @param {number} matchId - The ID of the match to subscribe to.
+ * Subscribe a WebSocket client to a channel.
+ * @param {string} channel - The normalized channel name.
  * @param {WebSocket} socket - The WebSocket connection to subscribe.
  */
-function subscribe(matchId, socket) {
-  if (!matchSubscribers.has(matchId)) {
-    matchSubscribers.set(matchId, new Set());
+function subscribe(channel, socket) {
+  if (!channelSubscribers.has(channel)) {
+    channelSubscribers.set(channel, new Set());
   }
 
-  matchSubscribers.get(matchId).add(socket);
+  channelSubscribers.get(channel).add(socket);
+  socket.subscriptions.add(channel);
 }
 
 /**
- * Unsubscribe a WebSocket client from receiving updates for a specific match.
- * @param {number} matchId - The ID of the match to unsubscribe from.
+ * Unsubscribe a WebSocket client from a channel.
+ * @param {string} channel - The normalized channel name.
  * @param {WebSocket} socket - The WebSocket connection to unsubscribe.
  */
-function unsubscribe(matchId, socket) {
-  const subscribers = matchSubscribers.get(matchId);
+function unsubscribe(channel, socket) {
+  socket.subscriptions.delete(channel);
+
+  const subscribers = channelSubscribers.get(channel);
   if (!subscribers) return;
   subscribers.delete(socket);
   if (subscribers.size === 0) {
-    matchSubscribers.delete(matchId);
+    channelSubscribers.delete(channel);
   }
 }
 
 /**
- * Remove all match subscriptions for a WebSocket client.
+ * Remove all channel subscriptions for a WebSocket client.
  * @param {WebSocket} socket - The WebSocket connection to clean up.
  */
 function cleanupSubscriptions(socket) {
-  for (const matchId of socket.subscriptions) {
-    unsubscribe(matchId, socket);
+  for (const channel of [...socket.subscriptions]) {
+    unsubscribe(channel, socket);
   }
 }
 
 /**
- * Send a JSON message to a single WebSocket client.
+ * Send a message to a single WebSocket client, in the format it negotiated.
+ * It goes through the client's send queue, so it waits if the client is behind.
  * @param {WebSocket} socket - The WebSocket connection to send the message to.
- * @param {object} payload - The data object to send (will be converted to JSON).
+ * @param {object} payload - The data object to send (will be encoded as JSON or MessagePack).
  * @returns
  */
-function sendJson(socket, payload) {
+function sendMessage(socket, payload) {
   // Only send if the socket is open
   if (socket.readyState !== WebSocket.OPEN) return;
-  // Convert the payload to a JSON string and send it to the client
-  socket.send(JSON.stringify(payload));
+  // Encode the payload and queue it for the client
+  socket.sendQueue.send(encodeMessage(payload, socket.format));
 }
 
 /**
- * Broadcast a JSON message to all connected clients.
- *
- * @param {WebSocketServer} wss - The WebSocket server instance (WebSocketServer).
- * @param {object} payload - The data to broadcast (will be converted to JSON).
+ * Send an error message to a single WebSocket client.
+ * @param {WebSocket} socket - The WebSocket connection to send the error to.
+ * @param {string|number|undefined} requestId - The ID of the request that failed, if the client sent one.
+ * @param {string} code - One of WS_ERROR_CODES.
+ * @param {string} message - A human-readable description of the error.
+ * @param {object} [extra] - Additional fields to include, e.g. the offending channels.
  */
-function broadcastToAll(wss, payload) {
-  for (const client of wss.clients) {
-    // Only send to clients that are currently open
+function sendError(socket, requestId, code, message, extra = {}) {
+  sendMessage(socket, {
+    type: "error",
+    id: requestId,
+    code,
+    message,
+    ...extra,
+  });
+}
+
+/**
+ * Deliver a published message to every client following at least one of its channels.
+ * Each client receives it once, however many of those channels it follows.
+ * @param {object} message - The message published through the broker.
+ * @param {string[]} message.channels - The channels the event is delivered on.
+ * @param {number} message.matchId - The match the event concerns.
+ * @param {boolean} message.restricted - Whether only entitled users may receive it.
+ * @param {object} message.payload - The data to broadcast (encoded once per format in use).
+ */
+function deliverMessage({ channels, matchId, restricted, payload }) {
+  const recipients = new Set();
+  for (const channel of channels) {
+    for (const client of channelSubscribers.get(channel) ?? []) {
+      recipients.add(client);
+    }
+  }
+
+  if (recipients.size === 0) return;
+
+  const encode = createMessageEncoder(payload);
+  const coalesceKey = SUPERSEDABLE_EVENT_TYPES.has(payload.type)
+    ? `${payload.type}:${matchId}`
+    : undefined;
+
+  for (const client of recipients) {
     if (client.readyState !== WebSocket.OPEN) continue;
-    // Convert the payload to a JSON string and send it to the client
-    client.send(JSON.stringify(payload));
+
+    // Content of premium matches reaches entitled users only, whichever channel it arrives on
+    if (restricted && !canAccessMatch(client.user, { isPremium: true })) {
+      continue;
+    }
+
+    // Hold live messages back while the client is still replaying missed ones
+    const pending = client.replayBuffers.get(matchId);
+    if (pending) {
+      pending.push(payload);
+      continue;
+    }
+
+    client.sendQueue.send(encode(client.format), coalesceKey);
   }
 }
 
 /**
- * Broadcast a JSON message to all clients subscribed to a specific match.
- * @param {number} matchId - The ID of the match to broadcast to.
- * @param {object} payload - The data to broadcast (will be converted to JSON).
+ * Send every commentary entry for a match posted after the given cursor, oldest first.
+ * @param {WebSocket} socket - The WebSocket connection to replay to.
+ * @param {number} matchId - The ID of the match to replay.
+ * @param {number} since - The ID of the last commentary entry the client has seen.
+ * @returns {Promise<Set<number>>} - The IDs of the replayed commentary entries.
  */
-function broadcastToMatch(matchId, payload) {
-  const subscribers = matchSubscribers.get(matchId);
+async function replayCommentary(socket, matchId, since) {
+  const replayedIds = new Set();
 
-  if (!subscribers || subscribers.size === 0) return;
+  for await (const row of readCommentarySince(matchId, since)) {
+    sendMessage(socket, { type: "commentary", data: row, replay: true });
+    replayedIds.add(row.id);
+  }
 
-  const message = JSON.stringify(payload);
+  return replayedIds;
+}
 
-  for (const client of subscribers) {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
+/**
+ * Catch a client up on commentary it missed for a match it just subscribed to.
+ * Live messages for the match are buffered until the replay is done, so nothing
+ * posted during the replay is lost; buffered entries that were already replayed
+ * are dropped so nothing is delivered twice.
+ * @param {WebSocket} socket - The WebSocket connection to replay to.
+ * @param {number} matchId - The ID of the match to replay.
+ * @param {number} since - The ID of the last commentary entry the client has seen.
+ * @param {object[]} pending - The buffer live messages are collected in meanwhile.
+ */
+async function replayMissedCommentary(socket, matchId, since, pending) {
+  let replayedIds = new Set();
+
+  try {
+    replayedIds = await replayCommentary(socket, matchId, since);
+  } catch (err) {
+    console.error(`Failed to replay commentary: ${err}`);
+    sendError(
+      socket,
+      undefined,
+      WS_ERROR_CODES.REPLAY_FAILED,
+      "Failed to replay missed commentary",
+      { matchId },
+    );
+  }
+
+  // The client may have unsubscribed or disconnected while we were replaying
+  if (socket.replayBuffers.get(matchId) !== pending) return;
+  socket.replayBuffers.delete(matchId);
+
+  sendMessage(socket, {
+    type: "replay_complete",
+    matchId,
+    count: replayedIds.size,
+  });
+
+  // Switch to live delivery, skipping anything the replay already sent
+  for (const payload of pending) {
+    const live = skipReplayedCommentary(payload, replayedIds);
+    if (live) sendMessage(socket, live);
+  }
+}
+
+/**
+ * Subscribe a client to a set of channels once it is allowed to follow them.
+ * Premium matches are only available to entitled users.
+ * @param {WebSocket} socket - The WebSocket connection to subscribe.
+ * @param {string|number|undefined} requestId - The client-supplied request ID, echoed in the reply.
+ * @param {string[]} requested - The channel names sent by the client.
+ * @param {number} [since] - The ID of the last commentary entry the client has seen,
+ *   if resuming; only valid with a single "match:<id>" channel.
+ */
+async function handleSubscribe(socket, requestId, requested, since) {
+  const channels = requested.map(normalizeChannel);
+  const invalid = requested.filter((_, index) => channels[index] === null);
+  if (invalid.length > 0) {
+    sendError(
+      socket,
+      requestId,
+      WS_ERROR_CODES.INVALID_CHANNEL,
+      "Invalid channel",
+      { invalid },
+    );
+    return;
+  }
+
+  const newChannels = [...new Set(channels)].filter(
+    (channel) => !socket.subscriptions.has(channel),
+  );
+  if (
+    socket.subscriptions.size + newChannels.length >
+    MAX_CHANNELS_PER_CLIENT
+  ) {
+    sendError(
+      socket,
+      requestId,
+      WS_ERROR_CODES.TOO_MANY_CHANNELS,
+      `Cannot follow more than ${MAX_CHANNELS_PER_CLIENT} channels`,
+    );
+    return;
+  }
+
+  const matchIds = channels.map(matchIdFromChannel).filter(Boolean);
+  if (since !== undefined && (channels.length !== 1 || matchIds.length !== 1)) {
+    sendError(
+      socket,
+      requestId,
+      WS_ERROR_CODES.INVALID_MESSAGE,
+      "since can only be used with a single match",
+    );
+    return;
+  }
+
+  let rows = [];
+  if (matchIds.length > 0) {
+    try {
+      rows = await db
+        .select({ id: matches.id, isPremium: matches.isPremium })
+        .from(matches)
+        .where(inArray(matches.id, matchIds));
+    } catch (err) {
+      console.error(`Failed to look up matches for subscription: ${err}`);
+      sendError(
+        socket,
+        requestId,
+        WS_ERROR_CODES.INTERNAL_ERROR,
+        "Failed to subscribe",
+      );
+      return;
     }
   }
+
+  const foundMatchIds = new Set(rows.map((row) => row.id));
+  const missing = matchIds.filter((matchId) => !foundMatchIds.has(matchId));
+  if (missing.length > 0) {
+    sendError(
+      socket,
+      requestId,
+      WS_ERROR_CODES.MATCH_NOT_FOUND,
+      "Match not found",
+      { matchIds: missing },
+    );
+    return;
+  }
+
+  const premiumMatchIds = new Set(
+    rows.filter((row) => row.isPremium).map((row) => row.id),
+  );
+
+  const forbidden = matchIds.filter(
+    (matchId) =>
+      premiumMatchIds.has(matchId) &&
+      !canAccessMatch(socket.user, { isPremium: true }),
+  );
+  if (forbidden.length > 0) {
+    sendError(
+      socket,
+      requestId,
+      WS_ERROR_CODES.FORBIDDEN,
+      "This match requires a premium account",
+      { matchIds: forbidden },
+    );
+    return;
+  }
+
+  // A "since" cursor means the client is resuming and wants what it missed
+  // Start buffering before subscribing so nothing slips between replay and live delivery
+  let pending;
+  if (since !== undefined) {
+    if (socket.replayBuffers.has(matchIds[0])) {
+      sendError(
+        socket,
+        requestId,
+        WS_ERROR_CODES.REPLAY_IN_PROGRESS,
+        "Replay already in progress",
+        { matchId: matchIds[0] },
+      );
+      return;
+    }
+    pending = [];
+    socket.replayBuffers.set(matchIds[0], pending);
+  }
+
+  for (const channel of channels) {
+    subscribe(channel, socket);
+  }
+  sendMessage(socket, { type: "subscribed", id: requestId, channels });
+
+  if (pending) {
+    await replayMissedCommentary(socket, matchIds[0], since, pending);
+  }
+}
+
+/**
+ * Unsubscribe a client from a set of channels.
+ * @param {WebSocket} socket - The WebSocket connection to unsubscribe.
+ * @param {string|number|undefined} requestId - The client-supplied request ID, echoed in the reply.
+ * @param {string[]} requested - The channel names sent by the client.
+ */
+function handleUnsubscribe(socket, requestId, requested) {
+  const channels = requested.map(normalizeChannel).filter(Boolean);
+
+  for (const channel of channels) {
+    unsubscribe(channel, socket);
+
+    const matchId = matchIdFromChannel(channel);
+    if (matchId) socket.replayBuffers.delete(matchId);
+  }
+
+  sendMessage(socket, { type: "unsubscribed", id: requestId, channels });
+}
+
+/**
+ * Agree on the protocol version to speak with a client.
+ * Clients that never send "hello" are assumed to speak the current version.
+ * @param {WebSocket} socket - The WebSocket connection that sent the hello.
+ * @param {object} message - The validated hello message.
+ */
+function handleHello(socket, { id, protocolVersion }) {
+  if (!SUPPORTED_WS_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    sendError(
+      socket,
+      id,
+      WS_ERROR_CODES.UNSUPPORTED_VERSION,
+      `Unsupported protocol version ${protocolVersion}`,
+      { supportedVersions: SUPPORTED_WS_PROTOCOL_VERSIONS },
+    );
+    return;
+  }
+
+  socket.protocolVersion = protocolVersion;
+  sendMessage(socket, { type: "hello", id, protocolVersion });
+}
+
+/**
+ * Read the channels a subscribe/unsubscribe message refers to.
+ * Accepts { channels: [...] }, or { matchId } as shorthand for "match:<id>".
+ * @param {object} message - The validated client message.
+ * @returns {string[]} - The requested channel names.
+ */
+function readRequestedChannels(message) {
+  return message.channels ?? [matchChannel(message.matchId)];
 }
 
 /**
  * Handle incoming WebSocket messages from a client.
+ * Every message is validated against the schema for its type; requests that
+ * carry an "id" get it echoed back in the reply, whether it succeeds or fails.
  * @param {WebSocket} socket - The WebSocket connection that sent the message.
- * @param {Buffer|string} data - The raw message data received.
+ * @param {Buffer} data - The raw message data received.
+ * @param {boolean} isBinary - Whether it arrived in a binary (MessagePack) frame.
  * @returns
  */
-function handleMessage(socket, data) {
+function handleMessage(socket, data, isBinary) {
   let message;
 
   try {
-    message = JSON.parse(data.toString());
+    message = decodeMessage(data, isBinary);
   } catch (err) {
-    sendJson(socket, { type: "error", message: "Invalid JSON" });
+    if (isBinary) {
+      sendError(
+        socket,
+        undefined,
+        WS_ERROR_CODES.INVALID_MSGPACK,
+        "Invalid MessagePack",
+      );
+    } else {
+      sendError(socket, undefined, WS_ERROR_CODES.INVALID_JSON, "Invalid JSON");
+    }
+    return;
   }
 
-  if (message?.type === "subscribe" && Number.isInteger(message.matchId)) {
-    subscribe(message.matchId, socket);
-    socket.subscriptions.add(message.matchId);
-    sendJson(socket, { type: "subscribed", matchId: message.matchId });
+  if (
+    typeof message !== "object" ||
+    message === null ||
+    Array.isArray(message)
+  ) {
+    sendError(
+      socket,
+      undefined,
+      WS_ERROR_CODES.INVALID_MESSAGE,
+      "Message must be a JSON object",
+    );
     return;
   }
 
-  if (message?.type === "unsubscribe" && Number.isInteger(m.matchId)) {
-    unsubscribe(message.matchId, socket);
-    socket.subscriptions.delete(message.matchId);
+  // Echo the request ID back on errors too, as long as it is usable
+  const requestId =
+    typeof message.id === "string" || Number.isInteger(message.id)
+      ? message.id
+      : undefined;
+
+  const schema = Object.hasOwn(clientMessageSchemas, message.type)
+    ? clientMessageSchemas[message.type]
+    : null;
+  if (!schema) {
+    sendError(
+      socket,
+      requestId,
+      WS_ERROR_CODES.UNKNOWN_TYPE,
+      `Unknown message type: ${message.type}`,
+    );
     return;
   }
+
+  const result = schema.safeParse(message);
+  if (!result.success) {
+    sendError(
+      socket,
+      requestId,
+      WS_ERROR_CODES.INVALID_MESSAGE,
+      "Invalid message",
+      { details: result.error.issues },
+    );
+    return;
+  }
+
+  const validated = result.data;
+
+  switch (validated.type) {
+    case "hello":
+      handleHello(socket, validated);
+      break;
+    case "subscribe":
+      handleSubscribe(
+        socket,
+        validated.id,
+        readRequestedChannels(validated),
+        validated.since,
+      ).catch((err) => {
+        console.error(`Failed to handle subscribe: ${err}`);
+        sendError(
+          socket,
+          validated.id,
+          WS_ERROR_CODES.INTERNAL_ERROR,
+          "Failed to subscribe",
+        );
+      });
+      break;
+    case "unsubscribe":
+      handleUnsubscribe(socket, validated.id, readRequestedChannels(validated));
+      break;
+    case "ping":
+      sendMessage(socket, { type: "pong", id: validated.id });
+      break;
+  }
 }
 
 /**
  * Attach a WebSocket server to an existing HTTP server.
+ * Events published through the broker (see src/events/publisher.js) are
+ * delivered to the clients connected here, whichever instance published them.
  * @param {import("http").Server} server
- * @returns {object} - Object with helper functions for broadcasting events
+ * @param {object} options
+ * @param {object} options.broker - Pub/sub broker the events are published to.
+ * @param {number} [options.highWaterMark] - Buffered bytes per client above which messages are queued.
+ * @param {number} [options.maxQueuedBytes] - Backlog per client above which it is disconnected.
+ * @param {object|false} [options.perMessageDeflate] - permessage-deflate settings, or false to disable compression.
+ * @returns {{ wss: WebSocketServer, getMetrics: () => object }}
  */
-export function attachWebSocketServer(server) {
+export function attachWebSocketServer(
+  server,
+  { broker, highWaterMark, maxQueuedBytes, perMessageDeflate = false },
+) {
   // Create a new WebSocket server that shares the same HTTP server
   const wss = new WebSocketServer({
     noServer: true,
     path: "/ws", // WebSocket clients connect to /ws
     maxPayload: 1024 * 1024, // Maximum message size: 1MB
+    handleProtocols: selectProtocol,
+    perMessageDeflate, // Compression, when enabled, applies to both JSON and MessagePack frames
   });
 
   /**
@@ -147,8 +593,12 @@ export function attachWebSocketServer(server) {
    */
   server.on("upgrade", async (req, socket, head) => {
     let pathname;
+    let searchParams;
     try {
-      ({ pathname } = new URL(req.url, `http://${req.headers.host}`));
+      ({ pathname, searchParams } = new URL(
+        req.url,
+        `http://${req.headers.host}`,
+      ));
     } catch {
       socket.write("HTTP/1.1 400 Bad Request\r\n\r\n");
       socket.destroy();
@@ -185,8 +635,31 @@ export function attachWebSocketServer(server) {
       }
     }
 
+    // Identify the user if a token was provided; connections without one stay anonymous
+    let user = null;
+    const token = readSocketToken(req, searchParams);
+    if (token) {
+      try {
+        user = await findUserByApiKey(token);
+      } catch (err) {
+        console.error("WS upgrade authentication error", err);
+        socket.write("HTTP/1.1 500 Internal Server Error\r\n\r\n");
+        socket.destroy();
+        return;
+      }
+
+      // A token that is present but invalid is rejected rather than downgraded to anonymous
+      if (!user) {
+        socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+        socket.destroy();
+        return;
+      }
+    }
+
     // If all checks pass, upgrade the HTTP connection to a WebSocket
     wss.handleUpgrade(req, socket, head, (ws) => {
+      // Attach the resolved identity (null for anonymous connections)
+      ws.user = user;
       // Emit 'connection' event for the new WebSocket
       wss.emit("connection", ws, req);
     });
@@ -209,13 +682,38 @@ export function attachWebSocketServer(server) {
     // Keep what the socket is subscribed to
     socket.subscriptions = new Set();
 
-    // Send a welcome message to the client
-    sendJson(socket, {
+    // Format the client receives messages in, negotiated through the subprotocol
+    socket.format =
+      socket.protocol === MESSAGE_FORMATS.MSGPACK
+        ? MESSAGE_FORMATS.MSGPACK
+        : MESSAGE_FORMATS.JSON;
+
+    // Outgoing messages, held back and coalesced while the client is behind
+    socket.sendQueue = createSendQueue(socket, {
+      highWaterMark,
+      maxQueuedBytes,
+    });
+
+    // Live messages held back per match while missed commentary is replayed
+    socket.replayBuffers = new Map();
+
+    // Protocol version spoken with this client, until it asks for another with "hello"
+    socket.protocolVersion = WS_PROTOCOL_VERSION;
+
+    // Send a welcome message to the client, including who it is connected as
+    // and which protocol versions it may ask for
+    sendMessage(socket, {
       type: "welcome",
+      protocolVersion: socket.protocolVersion,
+      supportedVersions: SUPPORTED_WS_PROTOCOL_VERSIONS,
+      format: socket.format,
+      user: socket.user
+        ? { id: socket.user.id, name: socket.user.name, role: socket.user.role }
+        : null,
     });
 
-    socket.on("message", (data) => {
-      handleMessage(socket, data);
+    socket.on("message", (data, isBinary) => {
+      handleMessage(socket, data, isBinary);
     });
 
     // Listen for errors on this socket
@@ -226,34 +724,54 @@ export function attachWebSocketServer(server) {
 
     socket.on("close", () => {
       cleanupSubscriptions(socket);
+      socket.replayBuffers.clear();
+      socket.sendQueue.clear();
     });
   });
 
   /**
-   * Cleanup: stop heartbeat when WebSocket server closes
+   * Deliver messages published by any instance to the clients connected here.
+   */
+  const unsubscribeBroker = broker.subscribe(deliverMessage);
+
+  /**
+   * Cleanup: stop heartbeat and broker delivery when WebSocket server closes
    */
   wss.on("close", () => {
     // Clear heartbeat interval when server closes
     clearInterval(heartbeatInterval);
+    unsubscribeBroker();
   });
 
   /**
-   * Broadcast a "match created" event to all connected clients.
-   * @param {object} match - The match data to send
+   * Snapshot of the connected clients' backlogs, plus the counters for how often
+   * clients fell behind, had messages coalesced or were disconnected for it.
+   * @returns {object}
    */
-  function broadcastMatchCreated(match) {
-    broadcastToAll(wss, { type: "match_created", data: match });
-  }
+  function getMetrics() {
+    let backloggedConnections = 0;
+    let queuedMessages = 0;
+    let queuedBytes = 0;
+    let bufferedBytes = 0;
+
+    for (const client of wss.clients) {
+      const size = client.sendQueue?.size() ?? 0;
+      if (size > 0) backloggedConnections++;
+      queuedMessages += size;
+      queuedBytes += client.sendQueue?.bytes() ?? 0;
+      bufferedBytes += client.bufferedAmount;
+    }
 
-  /**
-   * Broadcast a commentary event to all clients subscribed to a specific match.
-   * @param {number} matchId - The ID of the match the commentary is for.
-   * @param {object} comment - The commentary data to broadcast.
-   */
-  function broadcastCommentary(matchId, comment) {
-    broadcastToMatch(matchId, { type: "commentary", data: comment });
+    return {
+      connections: wss.clients.size,
+      channels: channelSubscribers.size,
+      backloggedConnections,
+      queuedMessages,
+      queuedBytes,
+      bufferedBytes,
+      ...sendQueueMetrics,
+    };
   }
 
-  // Return helper functions we want to expose
-  return { broadcastMatchCreated, broadcastCommentary };
+  return { wss, getMetrics };
 }